@@ -0,0 +1,201 @@
+/**
+ * Build the ES module and CommonJS entries from src/p5-phone.js
+ *
+ *   dist/p5-phone.mjs  - import { init, enableGyroTap, PhoneCamera } from 'p5-phone'
+ *   dist/p5-phone.cjs  - const { init, enableGyroTap } = require('p5-phone')
+ *
+ * The script is wrapped in a factory that runs on init(p5) - or on the first
+ * call to any export - so importing the package touches nothing. The exports
+ * are the names src/p5-phone.js assigns to window, plus PhoneCamera. Every
+ * export must be declared in types/p5-phone.d.ts or the build fails.
+ * Live values defined with Object.defineProperty (compassHeading) can't be
+ * exported, so each one has a get* function export (getCompassHeading).
+ *
+ * Run by `npm run build`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_FILE = path.join(ROOT, 'src', 'p5-phone.js');
+const TYPES_FILE = path.join(ROOT, 'types', 'p5-phone.d.ts');
+const DIST_DIR = path.join(ROOT, 'dist');
+
+// Exports that are not a `window.name = name;` line in the script
+const EXTRA_EXPORTS = { PhoneCamera: 'PhoneCamera' };
+
+// Exports that are objects rather than functions (forwarded through a Proxy)
+const OBJECT_EXPORTS = ['phone', 'p5phone'];
+
+const source = fs.readFileSync(SOURCE_FILE, 'utf8');
+const version = require(path.join(ROOT, 'package.json')).version;
+
+// { exportName: identifierInTheScript } from `window.exportName = identifier;`
+function findExports(script) {
+  const found = {};
+  const pattern = /^window\.(\w+) = ([A-Za-z_$][\w$]*);$/gm;
+  let match;
+  while ((match = pattern.exec(script))) {
+    if (['true', 'false', 'null', 'undefined'].includes(match[2])) continue;
+    found[match[1]] = match[2];
+  }
+  return Object.assign(found, EXTRA_EXPORTS);
+}
+
+// { exportName: [method, ...] } from `identifier.method = function...` (e.g. debug.clear)
+function findMethods(script, exported) {
+  const methods = {};
+  const pattern = /^([A-Za-z_$][\w$]*)\.(\w+) = function/gm;
+  let match;
+  while ((match = pattern.exec(script))) {
+    const name = Object.keys(exported).find(key => exported[key] === match[1]);
+    if (name) (methods[name] = methods[name] || []).push(match[2]);
+  }
+  return methods;
+}
+
+// Fail the build when the typings fall behind the script
+function checkTypings(names) {
+  const typings = fs.readFileSync(TYPES_FILE, 'utf8');
+  const declared = new Set();
+  const pattern = /^export (?:declare )?(?:function|const|class|let) (\w+)/gm;
+  let match;
+  while ((match = pattern.exec(typings))) declared.add(match[1]);
+
+  const missing = names.filter(name => !declared.has(name));
+  const extra = [...declared].filter(name => name !== 'init' && !names.includes(name));
+  if (missing.length || extra.length) {
+    if (missing.length) console.error(`⚠️ Not declared in types/p5-phone.d.ts: ${missing.join(', ')}`);
+    if (extra.length) console.error(`⚠️ Declared in types/p5-phone.d.ts but not exported: ${extra.join(', ')}`);
+    process.exit(1);
+  }
+}
+
+// Fail the build when the script's banner names another version than package.json
+function checkVersion(script) {
+  const match = script.match(/^ \* p5-phone v(\S+)$/m);
+  if (!match || match[1] !== version) {
+    console.error(`⚠️ src/p5-phone.js says v${match ? match[1] : '?'} but package.json is ${version}`);
+    process.exit(1);
+  }
+}
+
+// Shared by both formats: the factory, init() and the lazy exports
+function moduleBody(exported, methods) {
+  const names = Object.keys(exported);
+  const api = names.map(name => `    ${name}: ${exported[name]}`).join(',\n');
+  const lazy = names.map(name => {
+    if (name === 'PhoneCamera') {
+      return [
+        'const PhoneCamera = class PhoneCamera {',
+        '  constructor(...args) {',
+        '    return new (init().PhoneCamera)(...args);',
+        '  }',
+        '  static [Symbol.hasInstance](instance) {',
+        '    return instance instanceof init().PhoneCamera;',
+        '  }',
+        '};'
+      ].join('\n');
+    }
+    if (OBJECT_EXPORTS.includes(name)) {
+      return `const ${name} = _lazyObject('${name}');`;
+    }
+    const forwarded = (methods[name] || []).map(method =>
+      `\n${name}.${method} = function (...args) {\n  return init().${name}.${method}.apply(this, args);\n};`
+    ).join('');
+    return `function ${name}(...args) {\n  return init().${name}.apply(this, args);\n}${forwarded}`;
+  }).join('\n\n');
+
+  return `let _api = null;
+let _p5 = null;
+
+// The unmodified p5-phone script; runs once, against the given p5
+function _create(p5) {
+${source.trim()}
+
+  return {
+${api}
+  };
+}
+
+/**
+ * Start p5-phone. Call it once, before creating your sketch:
+ *   import p5 from 'p5';
+ *   import { init } from 'p5-phone';
+ *   init(p5);
+ * Without an argument the global p5 (from a script tag) is used. Any export
+ * calls init() on first use, so this only has to be explicit with imported p5.
+ * @param {Function} p5Constructor - The p5 class (default: globalThis.p5)
+ * @returns {Object} - Every export, bound to this p5
+ */
+function init(p5Constructor) {
+  if (_api) {
+    if (p5Constructor && p5Constructor !== _p5) {
+      console.warn('⚠️ p5-phone is already initialized with another p5 - init() only runs once');
+    }
+    return _api;
+  }
+  _p5 = p5Constructor || (typeof globalThis !== 'undefined' ? globalThis.p5 : undefined);
+  _api = _create(_p5);
+  return _api;
+}
+
+// Stands in for an object export until init() has run
+function _lazyObject(name) {
+  return new Proxy({}, {
+    get: (target, key) => init()[name][key],
+    set: (target, key, value) => { init()[name][key] = value; return true; },
+    has: (target, key) => key in init()[name],
+    ownKeys: () => Reflect.ownKeys(init()[name]),
+    getOwnPropertyDescriptor: (target, key) => {
+      const descriptor = Object.getOwnPropertyDescriptor(init()[name], key);
+      return descriptor && Object.assign(descriptor, { configurable: true });
+    }
+  });
+}
+
+${lazy}
+`;
+}
+
+function banner(format) {
+  return `/*!
+ * p5-phone v${version} (${format})
+ * Generated from src/p5-phone.js by scripts/build-modules.js - do not edit
+ * https://github.com/npuckett/p5-phone
+ *
+ * Copyright (c) 2025 Nick Puckett
+ * Released under the MIT License
+ */
+`;
+}
+
+const exported = findExports(source);
+const names = Object.keys(exported);
+checkTypings(names);
+checkVersion(source);
+
+const body = moduleBody(exported, findMethods(source, exported));
+const exportList = ['init'].concat(names);
+
+const esm = `${banner('ES module')}
+${body}
+export {
+${exportList.map(name => `  ${name}`).join(',\n')}
+};
+`;
+
+const cjs = `${banner('CommonJS')}
+'use strict';
+
+${body}
+module.exports = {
+${exportList.map(name => `  ${name}: ${name}`).join(',\n')}
+};
+`;
+
+fs.mkdirSync(DIST_DIR, { recursive: true });
+fs.writeFileSync(path.join(DIST_DIR, 'p5-phone.mjs'), esm);
+fs.writeFileSync(path.join(DIST_DIR, 'p5-phone.cjs'), cjs);
+console.log(`✅ Built dist/p5-phone.mjs and dist/p5-phone.cjs (${exportList.length} exports)`);
@@ -1,5 +1,5 @@
 /*!
- * p5-phone v1.7.0
+ * p5-phone v1.9.0
  * Simplified mobile hardware access for p5.js - handle sensors, microphone, touch, and browser gestures with ease
  * https://github.com/npuckett/p5-phone
  * 
@@ -88,20 +88,158 @@ window.gesturesLocked = false;
 window.vibrationEnabled = false;
 window.speechEnabled = false;
 window.nfcEnabled = false;
+window.compassEnabled = false;
+window.lightEnabled = false;
 window.lastNfcMessage = null;
 window.lastNfcSerialNumber = null;
 
 // Internal state
-let _micInstance = null;
+let _micInstance = null;     // p5.AudioIn (the sketch's `mic` or one we created)
+let _micStream = null;       // MediaStream from the microphone
+let _micAudioContext = null; // Web Audio fallback when p5.sound isn't loaded
+let _micSourceNode = null;
+let _micAnalyser = null;
+let _micLevelData = null;
 let _nfcReader = null;
 let _nfcAbortController = null;
 
+// Permission states — one record per capability
+// state is one of: 'granted', 'denied', 'unsupported', 'prompt', 'error', 'unavailable'
+const PERMISSION_NAMES = ['motion', 'mic', 'sound', 'speech', 'vibration', 'nfc', 'camera', 'compass', 'light'];
+const _permissionStates = {};
+PERMISSION_NAMES.forEach(name => {
+  _permissionStates[name] = { state: 'prompt', reason: 'Not requested yet' };
+});
+
+// Alternative names accepted by the public API
+const _permissionAliases = {
+  sensors: 'motion',
+  gyro: 'motion',
+  microphone: 'mic'
+};
+
+// Global boolean flag kept in sync with each permission state
+const _permissionFlags = {
+  motion: 'sensorsEnabled',
+  mic: 'micEnabled',
+  sound: 'soundEnabled',
+  speech: 'speechEnabled',
+  vibration: 'vibrationEnabled',
+  nfc: 'nfcEnabled',
+  compass: 'compassEnabled',
+  light: 'lightEnabled'
+};
+
+// localStorage key listing capabilities granted on earlier visits
+const GRANTED_STORAGE_KEY = 'p5-phone:granted';
+
+// How long a permission prompt may stay unanswered (ms, 0 = wait forever)
+let _permissionTimeout = 30000;
+// Show the recovery screen when an enable* request is denied
+let _recoveryEnabled = true;
+
 // p5.js version detection (1.x vs 2.x)
 const _p5MajorVersion = (typeof p5 !== 'undefined' && p5.VERSION)
   ? parseInt(p5.VERSION.split('.')[0], 10)
   : 1; // Default to 1 if p5 not loaded yet
 const _isP5v2 = _p5MajorVersion >= 2;
 
+// =========================================
+// SKETCH INSTANCES
+// Global mode puts one sketch on window; instance mode (new p5(p => {...}))
+// can put several on a page. There is only one phone, so its events go to
+// every sketch, each through the callbacks defined on that sketch.
+// =========================================
+
+const _sketches = [];          // running p5 instances, tracked by the lifecycle hooks
+let _currentSketch = null;     // the sketch whose setup() or draw() is running
+const _touchOverridden = new Set();  // window / instances whose handlers lockGestures() wrapped
+
+// Lifecycle hooks: 1.x registerMethod() / 2.x registerAddon(). They are called
+// with the instance as this, except 1.x passes window for a global-mode sketch.
+function _hookSketch(context) {
+  return context === window ? p5.instance : context;
+}
+
+function _sketchCreated() {
+  const sketch = _hookSketch(this);
+  if (sketch && !_sketches.includes(sketch)) _sketches.push(sketch);
+}
+
+// p5 2.x awaits between its lifecycle hooks and the user's code, so two sketches'
+// frames can interleave: mark the current sketch around setup() and draw() themselves
+function _sketchSetupStarting() {
+  _sketchCreated.call(this);
+  const sketch = _hookSketch(this);
+  const context = _sketchContext(sketch);
+  ['setup', 'draw'].forEach(name => {
+    const callback = context[name];
+    if (typeof callback !== 'function') return;
+    context[name] = function(...args) {
+      const previous = _currentSketch;
+      _currentSketch = sketch;
+      try {
+        return callback.apply(this, args);
+      } finally {
+        _currentSketch = previous;
+      }
+    };
+  });
+}
+
+function _sketchSetupDone() {
+  // Sketches started after lockGestures() need their handlers wrapped too
+  if (window.gesturesLocked) _overrideP5Touch(_sketchContext(_hookSketch(this)));
+}
+
+function _sketchRemoved() {
+  const sketch = _hookSketch(this);
+  const index = _sketches.indexOf(sketch);
+  if (index !== -1) _sketches.splice(index, 1);
+  if (_currentSketch === sketch) _currentSketch = null;
+}
+
+// The sketch an API call is for: the instance it was called on, else the one
+// whose setup()/draw() is running, else the global-mode sketch (or the first)
+function _activeSketch(context) {
+  if (typeof p5 === 'undefined') return null;
+  if (typeof p5 === 'function' && context instanceof p5) return context;
+  return _currentSketch || p5.instance || _sketches[0] || null;
+}
+
+// Where p5 looks for a sketch's callbacks: window in global mode, the instance otherwise
+function _sketchContext(sketch) {
+  return !sketch || sketch._isGlobal ? window : sketch;
+}
+
+function _sketchCanvas(sketch) {
+  const renderer = sketch && sketch._renderer;
+  return (renderer && renderer.canvas) || document.querySelector('canvas');
+}
+
+// Call a sketch callback (userMotionReady, phoneShake, nfcRead...) on window
+// and on every instance-mode sketch that defines it
+function _callSketch(name, ...args) {
+  const contexts = [window].concat(_sketches.filter(sketch => !sketch._isGlobal));
+  contexts.forEach(context => {
+    const callback = context[name];
+    if (typeof callback !== 'function') return;
+    try {
+      callback.apply(context, args);
+    } catch (error) {
+      console.error(`${name}() error:`, error);
+    }
+  });
+}
+
+// p5.sound functions (userStartAudio, getAudioContext) are globals in global
+// mode; in instance mode they are only on the sketch
+function _p5SoundFunction(name) {
+  if (typeof window[name] === 'function') return window[name];
+  const sketch = _activeSketch();
+  return sketch && typeof sketch[name] === 'function' ? sketch[name].bind(sketch) : null;
+}
+
 // =========================================
 // PUBLIC API - CALL THESE FROM YOUR P5 SKETCH
 // =========================================
@@ -125,10 +263,7 @@ function lockGestures() {
  * Creates a start button that user must click
  */
 function enableGyroButton(buttonText = 'ENABLE MOTION SENSORS', statusText = 'Requesting motion sensors...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestMotionPermissions();
-    console.log('✅ Gyroscope enabled via button');
-  });
+  enableButton(['motion'], buttonText, statusText);
 }
 
 /**
@@ -136,10 +271,7 @@ function enableGyroButton(buttonText = 'ENABLE MOTION SENSORS', statusText = 'Re
  * User taps anywhere on screen to enable
  */
 function enableGyroTap(message = 'Tap screen to enable motion sensors') {
-  _createTapToEnable(message, async () => {
-    await _requestMotionPermissions();
-    console.log('✅ Gyroscope enabled via tap');
-  });
+  enableTap(['motion'], message);
 }
 
 /**
@@ -147,10 +279,7 @@ function enableGyroTap(message = 'Tap screen to enable motion sensors') {
  * Creates a start button that user must click
  */
 function enableMicButton(buttonText = 'ENABLE MICROPHONE', statusText = 'Requesting microphone access...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestMicrophonePermissions();
-    console.log('✅ Microphone enabled via button');
-  });
+  enableButton(['mic'], buttonText, statusText);
 }
 
 /**
@@ -158,10 +287,7 @@ function enableMicButton(buttonText = 'ENABLE MICROPHONE', statusText = 'Request
  * User taps anywhere on screen to enable
  */
 function enableMicTap(message = 'Tap screen to enable microphone') {
-  _createTapToEnable(message, async () => {
-    await _requestMicrophonePermissions();
-    console.log('✅ Microphone enabled via tap');
-  });
+  enableTap(['mic'], message);
 }
 
 /**
@@ -170,10 +296,7 @@ function enableMicTap(message = 'Tap screen to enable microphone') {
  * Use this for playing sounds without needing microphone input
  */
 function enableSoundButton(buttonText = 'ENABLE SOUND', statusText = 'Enabling audio...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestSoundOutput();
-    console.log('✅ Sound output enabled via button');
-  });
+  enableButton(['sound'], buttonText, statusText);
 }
 
 /**
@@ -182,10 +305,7 @@ function enableSoundButton(buttonText = 'ENABLE SOUND', statusText = 'Enabling a
  * Use this for playing sounds without needing microphone input
  */
 function enableSoundTap(message = 'Tap screen to enable sound') {
-  _createTapToEnable(message, async () => {
-    await _requestSoundOutput();
-    console.log('✅ Sound output enabled via tap');
-  });
+  enableTap(['sound'], message);
 }
 
 /**
@@ -196,10 +316,7 @@ function enableSoundTap(message = 'Tap screen to enable sound') {
  * You must create your own p5.SpeechRec object after this
  */
 function enableSpeechTap(message = 'Tap to enable speech recognition') {
-  _createTapToEnable(message, async () => {
-    await _requestSpeechPermission();
-    console.log('✅ Speech recognition enabled via tap');
-  });
+  enableTap(['speech'], message);
 }
 
 /**
@@ -210,10 +327,7 @@ function enableSpeechTap(message = 'Tap to enable speech recognition') {
  * You must create your own p5.SpeechRec object after this
  */
 function enableSpeechButton(buttonText = 'ENABLE SPEECH RECOGNITION', statusText = 'Enabling speech recognition...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestSpeechPermission();
-    console.log('✅ Speech recognition enabled via button');
-  });
+  enableButton(['speech'], buttonText, statusText);
 }
 
 /**
@@ -222,10 +336,7 @@ function enableSpeechButton(buttonText = 'ENABLE SPEECH RECOGNITION', statusText
  * Note: Vibration API is supported on Android, but not iOS
  */
 function enableVibrationButton(buttonText = 'ENABLE VIBRATION', statusText = 'Enabling vibration...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestVibrationPermission();
-    console.log('✅ Vibration enabled via button');
-  });
+  enableButton(['vibration'], buttonText, statusText);
 }
 
 /**
@@ -234,10 +345,7 @@ function enableVibrationButton(buttonText = 'ENABLE VIBRATION', statusText = 'En
  * Note: Vibration API is supported on Android, but not iOS
  */
 function enableVibrationTap(message = 'Tap screen to enable vibration') {
-  _createTapToEnable(message, async () => {
-    await _requestVibrationPermission();
-    console.log('✅ Vibration enabled via tap');
-  });
+  enableTap(['vibration'], message);
 }
 
 /**
@@ -246,10 +354,7 @@ function enableVibrationTap(message = 'Tap screen to enable vibration') {
  * Note: Web NFC is supported on Android Chrome 89+ only, not iOS
  */
 function enableNfcButton(buttonText = 'ENABLE NFC', statusText = 'Enabling NFC...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestNfcPermission();
-    console.log('✅ NFC enabled via button');
-  });
+  enableButton(['nfc'], buttonText, statusText);
 }
 
 /**
@@ -258,10 +363,23 @@ function enableNfcButton(buttonText = 'ENABLE NFC', statusText = 'Enabling NFC..
  * Note: Web NFC is supported on Android Chrome 89+ only, not iOS
  */
 function enableNfcTap(message = 'Tap screen to enable NFC') {
-  _createTapToEnable(message, async () => {
-    await _requestNfcPermission();
-    console.log('✅ NFC enabled via tap');
-  });
+  enableTap(['nfc'], message);
+}
+
+/**
+ * Enable the compass with a button interface
+ * Readings arrive in phone.compass and compassHeading
+ */
+function enableCompassButton(buttonText = 'ENABLE COMPASS', statusText = 'Enabling compass...') {
+  enableButton(['compass'], buttonText, statusText);
+}
+
+/**
+ * Enable the compass with tap-to-start
+ * User taps anywhere on screen to enable (required on iOS)
+ */
+function enableCompassTap(message = 'Tap screen to enable compass') {
+  enableTap(['compass'], message);
 }
 
 /**
@@ -269,12 +387,7 @@ function enableNfcTap(message = 'Tap screen to enable NFC') {
  * Creates a start button that user must click to enable both
  */
 function enableAllButton(buttonText = 'ENABLE MOTION & MICROPHONE', statusText = 'Requesting permissions...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestMotionPermissionsCore();
-    await _requestMicrophonePermissionsCore();
-    _notifySketchReady();
-    console.log('✅ Motion sensors and microphone enabled via button');
-  });
+  enableButton(['motion', 'mic'], buttonText, statusText);
 }
 
 /**
@@ -282,554 +395,3670 @@ function enableAllButton(buttonText = 'ENABLE MOTION & MICROPHONE', statusText =
  * User taps anywhere on screen to enable both
  */
 function enableAllTap(message = 'Tap screen to enable motion sensors & microphone') {
-  _createTapToEnable(message, async () => {
-    await _requestMotionPermissionsCore();
-    await _requestMicrophonePermissionsCore();
-    _notifySketchReady();
-    console.log('✅ Motion sensors and microphone enabled via tap');
-  });
+  enableTap(['motion', 'mic'], message);
 }
 
 // =========================================
-// CANVAS-FIRST-TOUCH — enableXxxCanvas()
-// Permissions fire on the user's first touch/click on the p5 canvas.
-// No overlay or button. Closest thing to "automatic".
+// MULTI-CAPABILITY — enableTap/Button/Canvas/Banner/On(names)
+// Enable any combination of capabilities with one interaction.
+// Names: 'motion', 'mic', 'sound', 'speech', 'vibration', 'nfc', 'camera'
 // =========================================
 
 /**
- * Enable gyroscope on first canvas touch
- * @param {string|null} message - Optional hint text shown on canvas
+ * Enable several capabilities with tap-to-start
+ * @param {string[]} names - e.g. ['motion', 'camera', 'vibration']
+ * @param {string} message - Overlay text (defaults to a list of the capabilities)
  */
-function enableGyroCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestMotionPermissions();
-    console.log('✅ Gyroscope enabled via canvas touch');
+function enableTap(names, message) {
+  _enableWithResume(names, 'tap', (remaining, onActivate) => {
+    _createTapToEnable(message || `Tap screen to enable ${_describeCapabilities(remaining)}`, onActivate);
   });
 }
 
 /**
- * Enable microphone on first canvas touch
+ * Enable several capabilities with a button interface
+ * @param {string[]} names - e.g. ['nfc', 'vibration']
+ * @param {string} buttonText - Button label
+ * @param {string} statusText - Text shown while the requests run
  */
-function enableMicCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestMicrophonePermissions();
-    console.log('✅ Microphone enabled via canvas touch');
+function enableButton(names, buttonText, statusText = 'Requesting permissions...') {
+  _enableWithResume(names, 'button', (remaining, onActivate) => {
+    _createPermissionButton(buttonText || `ENABLE ${_describeCapabilities(remaining).toUpperCase()}`, statusText, onActivate);
   });
 }
 
 /**
- * Enable sound output on first canvas touch
+ * Enable several capabilities on first canvas touch
+ * @param {string[]} names - e.g. ['speech', 'sound']
+ * @param {string|null} message - Optional hint text shown on canvas
  */
-function enableSoundCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestSoundOutput();
-    console.log('✅ Sound output enabled via canvas touch');
+function enableCanvas(names, message = 'Touch to start') {
+  // Resolved now: by the time the UI is built, setup() has finished
+  const sketch = _activeSketch(this) || window;
+  _enableWithResume(names, 'canvas touch', (remaining, onActivate) => {
+    _createCanvasToEnable(message, onActivate, sketch);
   });
 }
 
 /**
- * Enable speech recognition on first canvas touch
+ * Enable several capabilities with a banner notification
+ * @param {string[]} names - e.g. ['motion', 'camera']
+ * @param {string} message - Banner text
+ * @param {string} position - 'top' or 'bottom' (default: 'top')
  */
-function enableSpeechCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestSpeechPermission();
-    console.log('✅ Speech recognition enabled via canvas touch');
+function enableBanner(names, message, position = 'top') {
+  _enableWithResume(names, 'banner', (remaining, onActivate) => {
+    _createBannerToEnable(message || `Tap to enable ${_describeCapabilities(remaining)}`, position, onActivate);
   });
 }
 
 /**
- * Enable vibration on first canvas touch
+ * Enable several capabilities when a custom DOM element is clicked/tapped
+ * @param {string[]} names - e.g. ['motion', 'mic', 'vibration']
+ * @param {string} selector - CSS selector (e.g., '#my-button', '.start-btn')
  */
-function enableVibrationCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestVibrationPermission();
-    console.log('✅ Vibration enabled via canvas touch');
+function enableOn(names, selector) {
+  _enableWithResume(names, 'custom element', (remaining, onActivate) => {
+    _bindPermissionTo(selector, onActivate);
   });
 }
 
 /**
- * Enable NFC on first canvas touch
+ * Forget which capabilities were granted on previous visits
+ * The next enable* call will show its UI again for every capability
  */
-function enableNfcCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestNfcPermission();
-    console.log('✅ NFC enabled via canvas touch');
-  });
+function forgetPermissions() {
+  try {
+    window.localStorage.removeItem(GRANTED_STORAGE_KEY);
+  } catch (e) { /* storage unavailable (e.g. private browsing) */ }
 }
 
 /**
- * Enable both motion sensors and microphone on first canvas touch
+ * Choose which frame phone.motion reports in
+ * 'screen' (default) follows the screen into landscape, so "tilt right" always means
+ * toward the right edge of the canvas. 'device' keeps the axes fixed to the phone body.
+ * @param {string} frame - 'screen' or 'device'
+ *
+ * Examples:
+ *   setMotionFrame('device')
  */
-function enableAllCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestMotionPermissionsCore();
-    await _requestMicrophonePermissionsCore();
-    _notifySketchReady();
-    console.log('✅ Motion sensors and microphone enabled via canvas touch');
-  });
+function setMotionFrame(frame) {
+  if (frame !== 'screen' && frame !== 'device') {
+    console.warn(`⚠️ Unknown motion frame "${frame}". Use 'screen' or 'device'`);
+    return;
+  }
+  _motionFrame = frame;
 }
 
 /**
- * Enable camera on first canvas touch
+ * Make the phone's current pose the neutral position
+ * phone.motion.orientation and phone.motion.tilt are then reported relative to it.
+ * The calibration is saved and restored on the next visit.
+ * Called before motion is enabled, it calibrates on the first sensor reading.
+ *
+ * Examples:
+ *   function mousePressed() { calibrateMotion(); }
  */
-function enableCameraCanvas(message = 'Touch to start') {
-  _createCanvasToEnable(message, async () => {
-    await _requestCameraPermission();
-    console.log('✅ Camera enabled via canvas touch');
-  });
+function calibrateMotion() {
+  if (!_lastDeviceOrientation && !_lastDeviceGravity) {
+    if (!window.sensorsEnabled) {
+      console.log('⏳ Motion not enabled yet - will calibrate on the first reading');
+    }
+    _calibrationPending = true;
+    return;
+  }
+  _captureCalibration();
 }
 
-// =========================================
-// BANNER UI — enableXxxBanner()
-// A slim notification bar at the top or bottom of the screen.
-// =========================================
-
 /**
- * Enable gyroscope with a banner notification
- * @param {string} message - Banner text
- * @param {string} position - 'top' or 'bottom' (default: 'top')
+ * Undo calibrateMotion() and forget the saved neutral pose
  */
-function enableGyroBanner(message = 'Tap to enable motion sensors', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestMotionPermissions();
-    console.log('✅ Gyroscope enabled via banner');
-  });
-}
-
-function enableMicBanner(message = 'Tap to enable microphone', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestMicrophonePermissions();
-    console.log('✅ Microphone enabled via banner');
-  });
+function resetCalibration() {
+  _calibration = null;
+  _calibrationPending = false;
+  _calibrationPendingSince = 0;
+  try {
+    window.localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+  } catch (e) { /* storage unavailable (e.g. private browsing) */ }
 }
 
-function enableSoundBanner(message = 'Tap to enable sound', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestSoundOutput();
-    console.log('✅ Sound output enabled via banner');
-  });
+/**
+ * Smooth one phone.motion channel (unfiltered values stay in phone.motion.raw)
+ * @param {string|string[]} channel - 'orientation', 'acceleration', 'accelerationIncludingGravity',
+ *                                    'rotationRate' or 'tilt' (or a list of them)
+ * @param {string} type - 'lowpass', 'highpass', 'oneEuro', 'complementary' (tilt only) or 'none'
+ * @param {Object} options - lowpass/highpass: { smoothing: 0.8 }
+ *                           oneEuro: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0 }
+ *                           complementary: { gyroWeight: 0.98 }
+ *
+ * Examples:
+ *   setMotionFilter('orientation', 'lowpass', { smoothing: 0.9 })
+ *   setMotionFilter('accelerationIncludingGravity', 'highpass')   // remove gravity
+ *   setMotionFilter('tilt', 'oneEuro', { minCutoff: 0.5, beta: 0.01 })
+ *   setMotionFilter('tilt', 'complementary')                      // fuse gyro + accelerometer
+ *   setMotionFilter('orientation', 'none')
+ */
+function setMotionFilter(channel, type, options = {}) {
+  const channels = Array.isArray(channel) ? channel : [channel];
+  
+  for (const name of channels) {
+    if (!_motionChannels.includes(name)) {
+      console.warn(`⚠️ Unknown motion channel "${name}". Use one of: ${_motionChannels.join(', ')}`);
+      continue;
+    }
+    if (!type || type === 'none') {
+      delete _motionFilters[name];
+      Object.assign(_motionData[name], _motionRaw[name]);
+      continue;
+    }
+    if (!_motionFilterSteps[type]) {
+      console.warn(`⚠️ Unknown motion filter "${type}". Use one of: ${Object.keys(_motionFilterSteps).join(', ')}, none`);
+      continue;
+    }
+    if (type === 'complementary' && name !== 'tilt') {
+      console.warn('⚠️ The complementary filter fuses gyro and accelerometer tilt - use it on \'tilt\'');
+      continue;
+    }
+    _motionFilters[name] = {
+      type: type,
+      options: Object.assign({}, _motionFilterDefaults[type], options),
+      state: {}
+    };
+  }
 }
 
-function enableSpeechBanner(message = 'Tap to enable speech recognition', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestSpeechPermission();
-    console.log('✅ Speech recognition enabled via banner');
-  });
+/**
+ * Choose where phone.motion and phone.compass readings come from
+ * 'auto' (default) uses the Generic Sensor API (Accelerometer, Gyroscope,
+ * AbsoluteOrientationSensor...) where the browser has it - Chrome on Android -
+ * and falls back to deviceorientation/devicemotion everywhere else.
+ * Sensors that are already running switch over immediately.
+ * @param {string} backend - 'auto', 'generic' or 'devicemotion'
+ *
+ * Examples:
+ *   setSensorBackend('devicemotion')   // always use the legacy events
+ */
+function setSensorBackend(backend) {
+  if (!SENSOR_BACKENDS.includes(backend)) {
+    console.warn(`⚠️ Unknown sensor backend "${backend}". Use one of: ${SENSOR_BACKENDS.join(', ')}`);
+    return;
+  }
+  _sensorBackend = backend;
+  _restartSensorBackends();
 }
 
-function enableVibrationBanner(message = 'Tap to enable vibration', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestVibrationPermission();
-    console.log('✅ Vibration enabled via banner');
-  });
+/**
+ * Set how often the Generic Sensor API backend samples (deviceorientation and
+ * devicemotion run at whatever rate the browser picks)
+ * @param {number} hz - Samples per second (default 60)
+ *
+ * Examples:
+ *   setSensorFrequency(120)
+ */
+function setSensorFrequency(hz) {
+  if (typeof hz !== 'number' || !(hz > 0)) {
+    console.warn('⚠️ setSensorFrequency() needs a positive number of samples per second');
+    return;
+  }
+  _sensorFrequency = hz;
+  _restartSensorBackends();
 }
 
-function enableNfcBanner(message = 'Tap to enable NFC', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestNfcPermission();
-    console.log('✅ NFC enabled via banner');
-  });
+/**
+ * Run a function whenever a motion gesture is recognized
+ * Also available as the phoneGesture window event and as p5-style callbacks:
+ * phoneShake(), phoneFaceDown(), phoneFaceUp(), phoneTiltLeft(), phoneTiltRight(),
+ * phoneTiltForward(), phoneTiltBack(), phonePickUp() and phoneBackTap()
+ * @param {string} name - 'shake', 'faceDown', 'faceUp', 'tiltLeft', 'tiltRight',
+ *                        'tiltForward', 'tiltBack', 'pickUp' or 'backTap'
+ * @param {function} callback - Called with an event: { gesture, time, ... }
+ *                              shake adds { intensity, count }, tilts add { angle }
+ * @returns {function} - The callback, for passing to offGesture()
+ *
+ * Examples:
+ *   onGesture('shake', (e) => { particles += e.count * 10; });
+ *   onGesture('faceDown', () => { mute(); });
+ */
+function onGesture(name, callback) {
+  if (!GESTURE_NAMES.includes(name)) {
+    console.warn(`⚠️ Unknown gesture "${name}". Use one of: ${GESTURE_NAMES.join(', ')}`);
+    return callback;
+  }
+  if (typeof callback !== 'function') {
+    console.warn('⚠️ onGesture() needs a callback function');
+    return callback;
+  }
+  
+  (_gestureListeners[name] = _gestureListeners[name] || []).push(callback);
+  return callback;
 }
 
-function enableAllBanner(message = 'Tap to enable sensors & microphone', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestMotionPermissionsCore();
-    await _requestMicrophonePermissionsCore();
-    _notifySketchReady();
-    console.log('✅ Motion sensors and microphone enabled via banner');
-  });
+/**
+ * Remove a listener added with onGesture()
+ * @param {string} name - Gesture name
+ * @param {function} callback - The listener to remove (omit to remove all for this gesture)
+ */
+function offGesture(name, callback) {
+  if (!_gestureListeners[name]) return;
+  
+  if (typeof callback === 'undefined') {
+    _gestureListeners[name] = [];
+  } else {
+    _gestureListeners[name] = _gestureListeners[name].filter(listener => listener !== callback);
+  }
 }
 
-function enableCameraBanner(message = 'Tap to enable camera', position = 'top') {
-  _createBannerToEnable(message, position, async () => {
-    await _requestCameraPermission();
-    console.log('✅ Camera enabled via banner');
-  });
+/**
+ * Tune a gesture's thresholds and debouncing
+ * @param {string} name - Gesture name (see onGesture)
+ * @param {Object} options - Any of the gesture's options; m/s², degrees and milliseconds
+ *   shake:   { threshold: 15, jolts: 3, window: 1000, cooldown: 1000 }
+ *   faceDown / faceUp: { angle: 30, hold: 300, cooldown: 500 }
+ *   tiltLeft / tiltRight / tiltForward / tiltBack: { angle: 30, hysteresis: 10, cooldown: 300 }
+ *   pickUp:  { threshold: 1.5, stillTime: 1000, moveTime: 50, cooldown: 2000 }
+ *   backTap: { threshold: 3, minGap: 80, maxGap: 450, cooldown: 800 }
+ * @returns {Object} - The gesture's current options
+ *
+ * Examples:
+ *   setGestureOptions('shake', { threshold: 20 })     // harder shakes only
+ *   setGestureOptions('tiltLeft', { angle: 45 })
+ */
+function setGestureOptions(name, options = {}) {
+  if (!GESTURE_NAMES.includes(name)) {
+    console.warn(`⚠️ Unknown gesture "${name}". Use one of: ${GESTURE_NAMES.join(', ')}`);
+    return undefined;
+  }
+  return Object.assign(_gestureOptions[name], options);
 }
 
-// =========================================
-// CUSTOM ELEMENT BINDING — enableXxxOn()
-// Attach permission trigger to any existing DOM element.
-// =========================================
-
 /**
- * Enable gyroscope when a custom DOM element is clicked/tapped
- * @param {string} selector - CSS selector (e.g., '#my-button', '.start-btn')
+ * Start the step count from zero again (e.g. at the start of a walking tour)
  */
-function enableGyroOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestMotionPermissions();
-    console.log('✅ Gyroscope enabled via custom element');
-  });
+function resetPedometer() {
+  _pedometerData.stepCount = 0;
 }
 
-function enableMicOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestMicrophonePermissions();
-    console.log('✅ Microphone enabled via custom element');
-  });
+/**
+ * Tune the pedometer
+ * @param {Object} options - Any of, in m/s², milliseconds and steps per minute:
+ *   { minThreshold: 1, minInterval: 250, maxInterval: 2000, startSteps: 4,
+ *     runningCadence: 140, shakeLevel: 12 }
+ * @returns {Object} - The current options
+ *
+ * Examples:
+ *   setPedometerOptions({ startSteps: 2 })        // count from the second step
+ *   setPedometerOptions({ runningCadence: 150 })
+ */
+function setPedometerOptions(options = {}) {
+  return Object.assign(_pedometerOptions, options);
 }
 
-function enableSoundOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestSoundOutput();
-    console.log('✅ Sound output enabled via custom element');
+/**
+ * Start recording what p5-phone sees into a timestamped trace: motion and
+ * compass readings, touches, the mic level, NFC tags and permission changes
+ * Stop with stopSessionRecording() and play it back with replaySession().
+ *
+ * Examples:
+ *   function phoneBackTap() { startSessionRecording(); }
+ */
+function startSessionRecording() {
+  if (_sessionRecording) {
+    console.warn('⚠️ Already recording - call stopSessionRecording() first');
+    return;
+  }
+  
+  _sessionRecording = {
+    start: performance.now(),
+    micLevel: null,
+    micTimer: setInterval(_recordMicLevel, SESSION_MIC_INTERVAL),
+    trace: {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      duration: 0,
+      permissions: getPermissionState(),
+      events: []
+    }
+  };
+  _sessionTouchTypes.forEach(type => {
+    document.addEventListener(type, _recordTouchEvent, { capture: true, passive: true });
   });
+  console.log('✅ Session recording started');
 }
 
-function enableSpeechOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestSpeechPermission();
-    console.log('✅ Speech recognition enabled via custom element');
+/**
+ * Stop recording and get the trace
+ * It is plain JSON: save it with saveJSON() and load it on a laptop with loadJSON().
+ * @returns {Object|null} - The trace, or null when nothing was being recorded
+ *
+ * Examples:
+ *   saveJSON(stopSessionRecording(), 'shake-test.json');
+ */
+function stopSessionRecording() {
+  if (!_sessionRecording) return null;
+  
+  const recording = _sessionRecording;
+  _sessionRecording = null;
+  clearInterval(recording.micTimer);
+  _sessionTouchTypes.forEach(type => {
+    document.removeEventListener(type, _recordTouchEvent, { capture: true });
   });
+  
+  const trace = recording.trace;
+  trace.duration = Math.round(performance.now() - recording.start);
+  console.log(`✅ Session recorded: ${trace.events.length} events, ${(trace.duration / 1000).toFixed(1)} s`);
+  return trace;
 }
 
-function enableVibrationOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestVibrationPermission();
-    console.log('✅ Vibration enabled via custom element');
-  });
+/**
+ * Play a recorded session back through the same code paths as live input,
+ * so phone.motion, gestures, the pedometer, touches, getMicLevel(), nfcRead()
+ * and the status variables behave as they did on the phone. Live sensors are
+ * ignored while it plays; permission states are restored afterwards.
+ * @param {Object|string} trace - From stopSessionRecording() (or its JSON text)
+ * @param {Object} options - { speed: 1, loop: false }
+ * @returns {Promise} - Resolves when playback ends or stopSessionReplay() is called
+ *
+ * Examples:
+ *   let trace;
+ *   function preload() { trace = loadJSON('shake-test.json'); }
+ *   function setup() { replaySession(trace, { loop: true }); }
+ */
+function replaySession(trace, options = {}) {
+  if (typeof trace === 'string') {
+    try {
+      trace = JSON.parse(trace);
+    } catch (error) {
+      console.warn(`⚠️ replaySession() could not parse the trace: ${error.message}`);
+      return Promise.resolve();
+    }
+  }
+  if (!trace || trace.format !== SESSION_FORMAT || !Array.isArray(trace.events)) {
+    console.warn('⚠️ Not a p5-phone session trace - record one with startSessionRecording()');
+    return Promise.resolve();
+  }
+  
+  stopSessionReplay();
+  return _playSession(trace, options.speed > 0 ? options.speed : 1, !!options.loop);
 }
 
-function enableNfcOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestNfcPermission();
-    console.log('✅ NFC enabled via custom element');
-  });
+/**
+ * Stop a replaySession() playback - live input takes over again
+ */
+function stopSessionReplay() {
+  if (_sessionReplay) _endSessionReplay();
 }
 
-function enableAllOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestMotionPermissionsCore();
-    await _requestMicrophonePermissionsCore();
-    _notifySketchReady();
-    console.log('✅ Motion sensors and microphone enabled via custom element');
+/**
+ * Show the desktop simulator: a panel that stands in for the phone's sensors
+ * on a laptop. Drag the 3D phone or use the arrow keys to tilt it, press Shake,
+ * set the mic level, inject NFC tags and watch for vibrations. Motion, compass,
+ * microphone, vibration and NFC then enable without a tap and drive the same
+ * globals and callbacks as real hardware (including p5's rotationX etc.).
+ * It only shows when no real motion sensors are detected: readings are listened
+ * for (without asking for anything) for up to 2 seconds, and the enable* helpers
+ * wait for the answer. requestPermissions() doesn't wait: it asks the hardware
+ * straight away, and the simulator then provides whatever wasn't granted.
+ * Sensors behind a permission prompt (iOS) count as real.
+ * @param {Object} options - { force: false } - force shows it on a phone too
+ * @returns {Promise<boolean>} - Resolves true when the simulator is showing
+ *
+ * Examples:
+ *   function setup() {
+ *     createCanvas(400, 400);
+ *     enableSimulator();   // does nothing on a phone
+ *     enableGyroTap();
+ *   }
+ */
+function enableSimulator(options = {}) {
+  if (_simulator) return Promise.resolve(true);
+  if (_simulatorProbe) return _simulatorProbe;
+  if (options.force) return Promise.resolve(_showSimulator());
+  
+  const detected = _detectMotionSensors();
+  if (typeof detected === 'boolean') {
+    return Promise.resolve(detected ? _skipSimulator() : _showSimulator());
+  }
+  _simulatorProbe = detected.then(real => {
+    _simulatorProbe = null;
+    return real ? _skipSimulator() : _showSimulator();
   });
+  return _simulatorProbe;
 }
 
-function enableCameraOn(selector) {
-  _bindPermissionTo(selector, async () => {
-    await _requestCameraPermission();
-    console.log('✅ Camera enabled via custom element');
-  });
+/**
+ * Remove the desktop simulator; simulated capabilities go back to 'prompt'
+ */
+function disableSimulator() {
+  if (!_simulator) return;
+  
+  const simulator = _simulator;
+  clearInterval(simulator.timer);
+  simulator.vibrationTimers.forEach(clearTimeout);
+  window.removeEventListener('keydown', _handleSimulatorKey);
+  simulator.panel.remove();
+  simulator.style.remove();
+  _simulator = null;
+  _removeBackend('The desktop simulator was turned off');
 }
 
 /**
- * Trigger vibration on device
- * @param {number|number[]} pattern - Duration in ms or pattern array [vibrate, pause, vibrate, ...]
- * 
+ * Replace the phone's hardware with a scripted mock, for testing sketches in
+ * jsdom or Node without a phone. Permission requests resolve with the scripted
+ * outcomes, and the returned controller feeds in sensor samples, mic levels,
+ * NFC tags and camera frames through the same code paths as real hardware.
+ * Every capability starts at 'prompt'; call it again to start over.
+ * @param {Object} options - { permissions: { motion: 'granted', mic: 'denied', ... },
+ *   requireTap: false } - unlisted capabilities are granted; a state may also be
+ *   { state, reason }, or 'timeout' for a prompt that is never answered.
+ *   requireTap: true keeps the tap/button UI instead of resuming.
+ * @returns {Object} - The mock: motion(sample), compass(heading), mic(level), nfc(tag),
+ *   cameraFrame(image), light(lux), setPermission(name, state), vibrations, restore()
+ *
  * Examples:
- *   vibrate(200);              // Single 200ms vibration
- *   vibrate([100, 50, 100]);   // Pattern: vibrate 100ms, pause 50ms, vibrate 100ms
- * 
- * Note: Only works if vibrationEnabled is true and device supports vibration
+ *   const mock = p5phone.useMock({ permissions: { mic: 'denied' } });
+ *   await requestPermissions(['motion', 'mic']);   // motion granted, mic denied
+ *   mock.motion({ orientation: { alpha: 0, beta: 30, gamma: 0 } });
+ *   phone.motion.orientation.beta;                  // 30
+ *   mock.restore();
  */
-function vibrate(pattern) {
-  if (!window.vibrationEnabled) {
-    console.warn('⚠️ Vibration not enabled. Call enableVibrationTap() or enableVibrationButton() first.');
-    return false;
-  }
+function useMock(options = {}) {
+  useHardware();
   
-  if (!navigator.vibrate) {
-    console.warn('⚠️ Vibration API not supported on this device');
-    return false;
-  }
-  
-  return navigator.vibrate(pattern);
+  _mock = _createMock(options);
+  _backend = _mockBackend;
+  _resetMotionStats();
+  PERMISSION_NAMES.forEach(name => _applyPermissionState(name, 'prompt', 'Not requested yet'));
+  if (_debugPanel) _updateDebugCapabilities();
+  console.log('✅ Mock backend in use - no hardware will be touched');
+  return _mock;
 }
 
 /**
- * Stop any ongoing vibration
+ * Go back to the real browser APIs, removing the mock or the desktop simulator.
+ * Capabilities they granted go back to 'prompt'.
  */
-function stopVibration() {
-  if (navigator.vibrate) {
-    navigator.vibrate(0);
+function useHardware() {
+  if (_simulator) {
+    disableSimulator();
+  } else if (_backend) {
+    _mock.captures.slice().forEach(capture => capture.remove());
+    _mock = null;
+    _removeBackend('The mock backend was removed');
   }
 }
 
+// Namespace for the testing entry points
+const p5phone = {
+  useMock: useMock,
+  useHardware: useHardware
+};
+
 /**
- * Stop NFC scanning
+ * Rotate WEBGL drawing to match the phone's orientation
+ * Draw after calling it and the shape turns with the phone. Lying flat
+ * (or the pose saved by calibrateMotion()) is no rotation.
+ * Uses phone.motion.orientation, so any orientation filter applies.
+ *
+ * Examples:
+ *   function draw() {
+ *     background(0);
+ *     applyPhoneRotation();
+ *     box(150);
+ *   }
  */
-function stopNfc() {
-  if (_nfcAbortController) {
-    _nfcAbortController.abort();
-    _nfcAbortController = null;
-  }
-  _nfcReader = null;
-  window.nfcEnabled = false;
-  console.log('NFC scanning stopped');
+function applyPhoneRotation() {
+  const sketch = this && typeof this.applyMatrix === 'function' ? this : window;
+  sketch.applyMatrix(..._toColumnMajor(_p5RotationMatrix()));
 }
 
-// =========================================
-// INTERNAL PERMISSION HANDLERS
-// =========================================
+/**
+ * Orbit a WEBGL camera around the origin as the phone turns
+ * The scene stays put and tilting the phone looks at it from another side,
+ * like looking through a window. No gimbal flips at 90° pitch.
+ * @param {number} distance - Camera distance from the origin (default: p5's default camera distance)
+ * @param {p5.Camera} cam - Camera to move (default: the sketch's current camera)
+ *
+ * Examples:
+ *   orbitPhoneCamera();
+ *   orbitPhoneCamera(600, myCamera);
+ */
+function orbitPhoneCamera(distance, cam) {
+  const sketch = this && typeof this.camera === 'function' ? this : window;
+  const d = distance || (sketch.height / 2) / Math.tan(Math.PI / 6);
+  const m = _p5RotationMatrix();
+  // Camera eye along the rotated z-axis, up along the rotated y-axis
+  const target = cam || sketch;
+  target.camera(m[0][2] * d, m[1][2] * d, m[2][2] * d, 0, 0, 0, m[0][1], m[1][1], m[2][1]);
+}
 
-// Core permission logic (without notification) — used by combo functions
-async function _requestMotionPermissionsCore() {
-  try {
-    // Request motion sensor permissions (iOS 13+)
-    if (typeof DeviceOrientationEvent !== 'undefined' &&
+/**
+ * Set how long to wait for a permission prompt before giving up
+ * An unanswered prompt then reports 'error' instead of leaving the sketch waiting
+ * @param {number} ms - Timeout in milliseconds, 0 to wait forever (default: 30000)
+ */
+function setPermissionTimeout(ms) {
+  _permissionTimeout = Math.max(0, Number(ms) || 0);
+}
+
+/**
+ * Turn the recovery screen on or off
+ * When on, enable* helpers explain how to unblock motion, mic or camera after a denial
+ * @param {boolean} enabled - Show the recovery screen (default: true)
+ */
+function setPermissionRecovery(enabled = true) {
+  _recoveryEnabled = !!enabled;
+}
+
+/**
+ * Show how to re-enable blocked capabilities on this device, with a retry button
+ * Useful after requestPermissions() in a custom permission flow
+ * @param {string|string[]} names - Capabilities to explain (default: every denied one)
+ *
+ * Examples:
+ *   showPermissionHelp('camera')
+ *   showPermissionHelp(['motion', 'mic'])
+ */
+function showPermissionHelp(names) {
+  const list = names
+    ? _capabilityList(names).map(name => _resolvePermissionName(name)).filter(Boolean)
+    : PERMISSION_NAMES.filter(name => _permissionStates[name].state === 'denied');
+  if (list.length) {
+    _createRecoveryScreen(list, _retryPermissions);
+  }
+}
+
+// =========================================
+// CANVAS-FIRST-TOUCH — enableXxxCanvas()
+// Permissions fire on the user's first touch/click on the p5 canvas.
+// No overlay or button. Closest thing to "automatic".
+// =========================================
+
+/**
+ * Enable gyroscope on first canvas touch
+ * @param {string|null} message - Optional hint text shown on canvas
+ */
+function enableGyroCanvas(message = 'Touch to start') {
+  enableCanvas(['motion'], message);
+}
+
+/**
+ * Enable microphone on first canvas touch
+ */
+function enableMicCanvas(message = 'Touch to start') {
+  enableCanvas(['mic'], message);
+}
+
+/**
+ * Enable sound output on first canvas touch
+ */
+function enableSoundCanvas(message = 'Touch to start') {
+  enableCanvas(['sound'], message);
+}
+
+/**
+ * Enable speech recognition on first canvas touch
+ */
+function enableSpeechCanvas(message = 'Touch to start') {
+  enableCanvas(['speech'], message);
+}
+
+/**
+ * Enable vibration on first canvas touch
+ */
+function enableVibrationCanvas(message = 'Touch to start') {
+  enableCanvas(['vibration'], message);
+}
+
+/**
+ * Enable NFC on first canvas touch
+ */
+function enableNfcCanvas(message = 'Touch to start') {
+  enableCanvas(['nfc'], message);
+}
+
+/**
+ * Enable both motion sensors and microphone on first canvas touch
+ */
+function enableAllCanvas(message = 'Touch to start') {
+  enableCanvas(['motion', 'mic'], message);
+}
+
+/**
+ * Enable camera on first canvas touch
+ */
+function enableCameraCanvas(message = 'Touch to start') {
+  enableCanvas(['camera'], message);
+}
+
+/**
+ * Enable the compass on first canvas touch
+ */
+function enableCompassCanvas(message = 'Touch to start') {
+  enableCanvas(['compass'], message);
+}
+
+// =========================================
+// BANNER UI — enableXxxBanner()
+// A slim notification bar at the top or bottom of the screen.
+// =========================================
+
+/**
+ * Enable gyroscope with a banner notification
+ * @param {string} message - Banner text
+ * @param {string} position - 'top' or 'bottom' (default: 'top')
+ */
+function enableGyroBanner(message = 'Tap to enable motion sensors', position = 'top') {
+  enableBanner(['motion'], message, position);
+}
+
+function enableMicBanner(message = 'Tap to enable microphone', position = 'top') {
+  enableBanner(['mic'], message, position);
+}
+
+function enableSoundBanner(message = 'Tap to enable sound', position = 'top') {
+  enableBanner(['sound'], message, position);
+}
+
+function enableSpeechBanner(message = 'Tap to enable speech recognition', position = 'top') {
+  enableBanner(['speech'], message, position);
+}
+
+function enableVibrationBanner(message = 'Tap to enable vibration', position = 'top') {
+  enableBanner(['vibration'], message, position);
+}
+
+function enableNfcBanner(message = 'Tap to enable NFC', position = 'top') {
+  enableBanner(['nfc'], message, position);
+}
+
+function enableAllBanner(message = 'Tap to enable sensors & microphone', position = 'top') {
+  enableBanner(['motion', 'mic'], message, position);
+}
+
+function enableCameraBanner(message = 'Tap to enable camera', position = 'top') {
+  enableBanner(['camera'], message, position);
+}
+
+function enableCompassBanner(message = 'Tap to enable compass', position = 'top') {
+  enableBanner(['compass'], message, position);
+}
+
+// =========================================
+// CUSTOM ELEMENT BINDING — enableXxxOn()
+// Attach permission trigger to any existing DOM element.
+// =========================================
+
+/**
+ * Enable gyroscope when a custom DOM element is clicked/tapped
+ * @param {string} selector - CSS selector (e.g., '#my-button', '.start-btn')
+ */
+function enableGyroOn(selector) {
+  enableOn(['motion'], selector);
+}
+
+function enableMicOn(selector) {
+  enableOn(['mic'], selector);
+}
+
+function enableSoundOn(selector) {
+  enableOn(['sound'], selector);
+}
+
+function enableSpeechOn(selector) {
+  enableOn(['speech'], selector);
+}
+
+function enableVibrationOn(selector) {
+  enableOn(['vibration'], selector);
+}
+
+function enableNfcOn(selector) {
+  enableOn(['nfc'], selector);
+}
+
+function enableAllOn(selector) {
+  enableOn(['motion', 'mic'], selector);
+}
+
+function enableCameraOn(selector) {
+  enableOn(['camera'], selector);
+}
+
+function enableCompassOn(selector) {
+  enableOn(['compass'], selector);
+}
+
+/**
+ * Trigger vibration on device
+ * @param {number|number[]} pattern - Duration in ms or pattern array [vibrate, pause, vibrate, ...]
+ * 
+ * Examples:
+ *   vibrate(200);              // Single 200ms vibration
+ *   vibrate([100, 50, 100]);   // Pattern: vibrate 100ms, pause 50ms, vibrate 100ms
+ * 
+ * Note: Only works if vibrationEnabled is true and device supports vibration
+ */
+function vibrate(pattern) {
+  if (!window.vibrationEnabled) {
+    console.warn('⚠️ Vibration not enabled. Call enableVibrationTap() or enableVibrationButton() first.');
+    return false;
+  }
+  
+  if (_backend && _backend.vibrate) {
+    return _backend.vibrate(pattern);
+  }
+  
+  if (!navigator.vibrate) {
+    console.warn('⚠️ Vibration API not supported on this device');
+    return false;
+  }
+  
+  return navigator.vibrate(pattern);
+}
+
+/**
+ * Stop any ongoing vibration
+ */
+function stopVibration() {
+  if (_backend && _backend.vibrate) {
+    _backend.vibrate(0);
+  } else if (navigator.vibrate) {
+    navigator.vibrate(0);
+  }
+}
+
+/**
+ * Stop NFC scanning
+ */
+function stopNfc() {
+  if (_nfcAbortController) {
+    _nfcAbortController.abort();
+    _nfcAbortController = null;
+  }
+  _nfcReader = null;
+  _setPermissionState('nfc', 'prompt', 'NFC scanning stopped');
+  console.log('NFC scanning stopped');
+}
+
+/**
+ * Get the ambient light level from the light sensor
+ * The raw illuminance is in phone.light (lux).
+ * @returns {number} - Level from 0.0 (dark) to 1.0 (daylight, 10000+ lux), 0 when the light sensor isn't enabled
+ *
+ * Examples:
+ *   background(getLightLevel() * 255);
+ */
+function getLightLevel() {
+  if (!window.lightEnabled) return 0;
+  // Perceived brightness is roughly logarithmic: a dim room is ~50 lux, an office ~500
+  return Math.min(1, Math.log10(_lightData.illuminance + 1) / 4);
+}
+
+/**
+ * Get the compass heading - the same value as compassHeading and phone.compass.heading
+ * Use this when importing the module builds, which can't export a live value.
+ * @returns {number} - Heading of the top edge of the screen, clockwise from north, in angleMode() units
+ *
+ * Examples:
+ *   import { getCompassHeading } from 'p5-phone';
+ *   rotate(-getCompassHeading());
+ */
+function getCompassHeading() {
+  return _phone.compass.heading;
+}
+
+/**
+ * Get the current microphone input level
+ * Works with or without p5.sound once the microphone is enabled
+ * @returns {number} - Level from 0.0 to 1.0 (0 when the mic isn't enabled)
+ */
+function getMicLevel() {
+  if (_replayMicLevel !== null) return _replayMicLevel;
+  if (!window.micEnabled) return 0;
+  if (_backend && _backend.micLevel) return _backend.micLevel();
+  
+  if (_micInstance && typeof _micInstance.getLevel === 'function') {
+    return _micInstance.getLevel();
+  }
+  
+  if (_micAnalyser) {
+    // Root mean square of the current waveform, like p5.AudioIn.getLevel()
+    _micAnalyser.getFloatTimeDomainData(_micLevelData);
+    let sum = 0;
+    for (let i = 0; i < _micLevelData.length; i++) {
+      sum += _micLevelData[i] * _micLevelData[i];
+    }
+    return Math.min(1, Math.sqrt(sum / _micLevelData.length));
+  }
+  
+  return 0;
+}
+
+/**
+ * Get the microphone MediaStream
+ * Use it with other audio libraries, MediaRecorder, or your own Web Audio graph
+ * @returns {MediaStream|null} - The live stream, or null before the mic is enabled
+ */
+function getMicStream() {
+  return _micStream;
+}
+
+/**
+ * Get the p5.AudioIn used for the microphone
+ * This is your own global `mic` if you created one, otherwise one p5-phone created.
+ * @returns {p5.AudioIn|null} - null when p5.sound isn't loaded
+ */
+function getMic() {
+  return _micInstance;
+}
+
+/**
+ * Request one or more permissions and wait for the results
+ * Call this from your own mousePressed()/touchStarted() (or any tap/click handler)
+ * to build a custom flow without the library's overlays. iOS only shows motion,
+ * microphone and camera prompts from inside a tap or click.
+ * @param {string|string[]} names - Any of 'motion', 'mic', 'sound', 'speech', 'vibration', 'nfc', 'camera'
+ * @returns {Promise<object>} - Resolves to { name: { state, reason }, ... }
+ *
+ * Examples:
+ *   async function mousePressed() {
+ *     const results = await requestPermissions(['motion', 'mic']);
+ *     if (results.motion.state === 'granted') { ... }
+ *   }
+ */
+async function requestPermissions(names = ['motion']) {
+  const list = Array.isArray(names) ? names : [names];
+  // The prompts start inside the user's tap; a pending enableSimulator() only decides afterwards
+  const probe = _simulatorProbe;
+  const results = await _requestPermissionsCore(list);
+  if (probe && await probe) {
+    Object.assign(results, await _requestPermissionsCore(_simulatorFallbacks(list)));
+  }
+  _notifySketchReady();
+  return results;
+}
+
+/**
+ * Run a function whenever a capability's request finishes
+ * Unlike userSetupComplete(), this tells you exactly which capability is done.
+ * @param {string} name - 'motion', 'mic', 'sound', 'speech', 'vibration', 'nfc' or 'camera'
+ * @param {function} callback - Called with ({ state, reason }, name) for every outcome
+ * @returns {function} - The callback, for passing to offPermission()
+ *
+ * Examples:
+ *   onPermission('camera', (result) => {
+ *     if (result.state === 'granted') startTracking();
+ *   });
+ */
+function onPermission(name, callback) {
+  const key = _resolvePermissionName(name);
+  if (!key) {
+    console.warn(`⚠️ Unknown permission "${name}". Use one of: ${PERMISSION_NAMES.join(', ')}`);
+    return callback;
+  }
+  if (typeof callback !== 'function') {
+    console.warn('⚠️ onPermission() needs a callback function');
+    return callback;
+  }
+  
+  (_permissionListeners[key] = _permissionListeners[key] || []).push(callback);
+  return callback;
+}
+
+/**
+ * Remove a listener added with onPermission()
+ * @param {string} name - Capability name
+ * @param {function} callback - The listener to remove (omit to remove all for this capability)
+ */
+function offPermission(name, callback) {
+  const key = _resolvePermissionName(name);
+  if (!key || !_permissionListeners[key]) return;
+  
+  if (typeof callback === 'undefined') {
+    _permissionListeners[key] = [];
+  } else {
+    _permissionListeners[key] = _permissionListeners[key].filter(listener => listener !== callback);
+  }
+}
+
+/**
+ * Get the permission state of a capability
+ * @param {string} name - 'motion', 'mic', 'sound', 'speech', 'vibration', 'nfc' or 'camera'
+ *                        (omit to get every capability)
+ * @returns {object} - { state, reason } where state is 'granted', 'denied',
+ *                     'unsupported', 'prompt', 'error' or 'unavailable'
+ *
+ * Examples:
+ *   getPermissionState('motion');  // { state: 'denied', reason: 'Motion access was denied...' }
+ *   getPermissionState();          // { motion: {...}, mic: {...}, ... }
+ */
+function getPermissionState(name) {
+  if (typeof name === 'undefined') {
+    const all = {};
+    PERMISSION_NAMES.forEach(key => {
+      all[key] = { ..._permissionStates[key] };
+    });
+    return all;
+  }
+
+  const key = _resolvePermissionName(name);
+  if (!key) {
+    console.warn(`⚠️ Unknown permission "${name}". Use one of: ${PERMISSION_NAMES.join(', ')}`);
+    return { state: 'unsupported', reason: `Unknown permission "${name}"` };
+  }
+  return { ..._permissionStates[key] };
+}
+
+/**
+ * Check what this device and browser can do, before asking for anything
+ * Nothing is requested and no prompt is shown — it only inspects the environment.
+ * @returns {object} - {
+ *   secureContext,   // true on HTTPS (or localhost)
+ *   platform,        // { os, browser, mobile, inAppBrowser }
+ *   apis,            // { deviceOrientationEvent, motionRequestPermission, ndefReader, vibrate, ... }
+ *   capabilities,    // { motion: { supported, reason }, mic: {...}, ... }
+ *   warnings         // Array of human-readable problems (empty when all is well)
+ * }
+ */
+function checkCapabilities() {
+  const platform = _detectPlatform();
+  const secureContext = window.isSecureContext !== false;
+  
+  const apis = {
+    deviceOrientationEvent: typeof DeviceOrientationEvent !== 'undefined',
+    deviceMotionEvent: typeof DeviceMotionEvent !== 'undefined',
+    motionRequestPermission: typeof DeviceMotionEvent !== 'undefined' &&
+                             typeof DeviceMotionEvent.requestPermission === 'function',
+    orientationRequestPermission: typeof DeviceOrientationEvent !== 'undefined' &&
+                                  typeof DeviceOrientationEvent.requestPermission === 'function',
+    deviceOrientationAbsolute: 'ondeviceorientationabsolute' in window,
+    genericSensors: typeof window.Accelerometer === 'function',
+    ambientLightSensor: typeof window.AmbientLightSensor === 'function',
+    ndefReader: 'NDEFReader' in window,
+    vibrate: typeof navigator.vibrate === 'function',
+    speechRecognition: !!(window.SpeechRecognition || window.webkitSpeechRecognition),
+    mediaDevices: !!(navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === 'function'),
+    audioContext: !!(window.AudioContext || window.webkitAudioContext),
+    permissionsQuery: !!(navigator.permissions && typeof navigator.permissions.query === 'function')
+  };
+  
+  const httpsReason = 'Requires HTTPS — this page is not a secure context';
+  const supported = (ok, reason) => ({ supported: ok, reason: ok ? 'Available' : reason });
+  
+  const capabilities = {
+    motion: !secureContext
+      ? supported(false, httpsReason)
+      : supported(apis.deviceOrientationEvent || apis.deviceMotionEvent, 'Motion sensor events are not available in this browser'),
+    mic: supported(apis.mediaDevices, secureContext ? 'getUserMedia is not available in this browser' : httpsReason),
+    sound: supported(!!_p5SoundFunction('userStartAudio'), 'p5.sound is not loaded (add p5.sound.js to play sound)'),
+    speech: supported(apis.speechRecognition, 'Web Speech API (SpeechRecognition) is not available in this browser'),
+    vibration: supported(apis.vibrate, 'Vibration API is not supported on this device (iOS never supports it)'),
+    nfc: supported(apis.ndefReader, secureContext
+      ? 'Web NFC is not supported on this device/browser (Android Chrome 89+ required)'
+      : httpsReason),
+    camera: supported(apis.mediaDevices, secureContext ? 'getUserMedia is not available in this browser' : httpsReason),
+    compass: !secureContext
+      ? supported(false, httpsReason)
+      : supported(apis.deviceOrientationEvent, 'Device orientation events are not available in this browser'),
+    light: !secureContext
+      ? supported(false, httpsReason)
+      : supported(apis.ambientLightSensor,
+        'AmbientLightSensor is not available (Chrome on Android needs chrome://flags/#enable-generic-sensor-extra-classes)')
+  };
+  
+  if (_backend) {
+    Object.keys(_backend.cores).forEach(name => {
+      capabilities[name] = _backend.capability(name);
+    });
+  }
+  
+  const warnings = [];
+  if (!secureContext) {
+    warnings.push('Page is not served over HTTPS — motion, microphone, camera and NFC are blocked');
+  }
+  if (platform.inAppBrowser) {
+    warnings.push(`Running inside ${platform.inAppBrowser} — in-app browsers often block sensors, ` +
+                  'camera and microphone. Open the page in Safari or Chrome instead.');
+  }
+  if (!platform.mobile) {
+    warnings.push('Desktop browser detected — motion sensors, vibration and NFC usually have no hardware here');
+  }
+  
+  return {
+    secureContext: secureContext,
+    platform: platform,
+    apis: apis,
+    capabilities: capabilities,
+    warnings: warnings
+  };
+}
+
+// =========================================
+// INTERNAL PERMISSION HANDLERS
+// =========================================
+
+// Permission state helpers
+
+function _resolvePermissionName(name) {
+  if (typeof name !== 'string') return null;
+  const key = name.toLowerCase();
+  if (_permissionStates[key]) return key;
+  return _permissionAliases[key] || null;
+}
+
+function _setPermissionState(name, state, reason) {
+  _applyPermissionState(name, state, reason);
+  
+  if (state === 'granted' || state === 'denied') {
+    _rememberGrant(name, state === 'granted');
+  }
+  
+  if (state === 'granted') {
+    _watchPermission(name);
+  }
+  
+  _recordSessionEvent('permission', { name: name, state: state, reason: reason });
+}
+
+// Update the record, status flag and debug panel only (replaySession uses this directly)
+function _applyPermissionState(name, state, reason) {
+  _permissionStates[name] = { state: state, reason: reason };
+  
+  const flag = _permissionFlags[name];
+  if (flag) {
+    window[flag] = state === 'granted';
+  }
+  
+  if (_debugPanel) {
+    _updateDebugCapabilities();
+  }
+}
+
+// =========================================
+// PERMISSION MONITORING
+// Keeps states and flags current after the first grant: revocation in
+// browser settings (PermissionStatus change) and media tracks that end.
+// =========================================
+
+const _watchedPermissions = {};
+
+// Subscribe once per capability to PermissionStatus change events
+function _watchPermission(name) {
+  const permissionName = _permissionQueryNames[name];
+  if (!permissionName || _watchedPermissions[name]) return;
+  if (!navigator.permissions || typeof navigator.permissions.query !== 'function') return;
+  
+  _watchedPermissions[name] = true;
+  navigator.permissions.query({ name: permissionName })
+    .then(status => {
+      status.addEventListener('change', () => {
+        if (status.state === 'denied') {
+          _changePermissionState(name, 'denied', 'Access was revoked in browser settings');
+        } else if (status.state === 'granted' && _permissionStates[name].state !== 'granted') {
+          // Access came back, but streams and scans don't restart on their own
+          _changePermissionState(name, 'prompt', 'Access was restored — request it again to restart');
+        } else if (status.state === 'prompt' && _permissionStates[name].state === 'granted') {
+          _changePermissionState(name, 'prompt', 'Permission was reset in browser settings');
+        }
+      });
+    })
+    .catch(() => {
+      _watchedPermissions[name] = false;
+    });
+}
+
+// Watch the tracks of a granted MediaStream — they end when the OS or
+// another app takes the device away, or the hardware is unplugged
+function _watchTracks(name, stream) {
+  if (!stream || typeof stream.getTracks !== 'function') return;
+  
+  const label = _capabilityLabels[name];
+  stream.getTracks().forEach(track => {
+    track.addEventListener('ended', () => {
+      if (_permissionStates[name].state === 'granted') {
+        _changePermissionState(name, 'prompt',
+          `${label.charAt(0).toUpperCase() + label.slice(1)} stopped by the system — request it again`);
+      }
+    });
+  });
+}
+
+// Apply a state change that happened after the request finished, and tell the sketch
+function _changePermissionState(name, state, reason) {
+  const previous = _permissionStates[name].state;
+  if (previous === state) return;
+  
+  _setPermissionState(name, state, reason);
+  console.warn(`⚠️ Permission "${name}" changed: ${previous} → ${state} (${reason})`);
+  
+  if (name === 'nfc' && state !== 'granted' && _nfcAbortController) {
+    _nfcAbortController.abort();
+    _nfcAbortController = null;
+    _nfcReader = null;
+  }
+  
+  window.dispatchEvent(new CustomEvent('permissionsChanged', {
+    detail: {
+      name: name,
+      state: state,
+      reason: reason,
+      previous: previous,
+      permissions: getPermissionState()
+    }
+  }));
+  
+  // Call userPermissionLost if it exists and access was lost
+  if (previous === 'granted') {
+    _callSketch('userPermissionLost', name, { state: state, reason: reason });
+  }
+}
+
+function _loadRememberedGrants() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(GRANTED_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function _rememberGrant(name, granted) {
+  try {
+    const grants = _loadRememberedGrants().filter(key => key !== name);
+    if (granted) grants.push(name);
+    window.localStorage.setItem(GRANTED_STORAGE_KEY, JSON.stringify(grants));
+  } catch (e) { /* storage unavailable (e.g. private browsing) */ }
+}
+
+// Translate a getUserMedia / Web NFC DOMException into a permission state
+function _permissionStateFromError(error, label) {
+  const name = error && error.name;
+  const message = (error && error.message) || String(error);
+  
+  if (name === 'NotAllowedError' || name === 'PermissionDeniedError') {
+    return { state: 'denied', reason: `${label} access was denied (${message})` };
+  }
+  if (name === 'SecurityError') {
+    return { state: 'denied', reason: `${label} access is blocked on this page (HTTPS required)` };
+  }
+  if (name === 'NotFoundError' || name === 'NotSupportedError' || name === 'OverconstrainedError') {
+    return { state: 'unsupported', reason: `${label} is not available on this device (${message})` };
+  }
+  return { state: 'error', reason: `${label} error: ${message}` };
+}
+
+// Core permission logic (without notification) — used by combo functions
+async function _requestMotionPermissionsCore() {
+  if (typeof DeviceOrientationEvent === 'undefined' && typeof DeviceMotionEvent === 'undefined') {
+    _setPermissionState('motion', 'unsupported', 'Motion sensor events are not available in this browser');
+    return;
+  }
+  
+  let reason;
+  try {
+    // Request motion sensor permissions (iOS 13+)
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
         typeof DeviceOrientationEvent.requestPermission === 'function') {
       
-      const orientationPermission = await DeviceOrientationEvent.requestPermission();
-      console.log('Orientation permission:', orientationPermission);
-      
+      // Start both prompts before awaiting either so they share the user's tap
+      const requests = [DeviceOrientationEvent.requestPermission()];
       if (typeof DeviceMotionEvent !== 'undefined' &&
           typeof DeviceMotionEvent.requestPermission === 'function') {
-        const motionPermission = await DeviceMotionEvent.requestPermission();
-        console.log('Motion permission:', motionPermission);
+        requests.push(DeviceMotionEvent.requestPermission());
+      }
+      
+      const [orientationPermission, motionPermission = 'granted'] = await Promise.all(requests);
+      console.log('Orientation permission:', orientationPermission);
+      console.log('Motion permission:', motionPermission);
+      
+      if (orientationPermission !== 'granted' || motionPermission !== 'granted') {
+        _setPermissionState('motion', 'denied',
+          `Motion access was denied (orientation: ${orientationPermission}, motion: ${motionPermission})`);
+        return;
+      }
+      
+      reason = 'Motion access granted';
+    } else {
+      // Android and desktop browsers don't require requestPermission
+      reason = 'No permission prompt required on this browser';
+    }
+    
+    _startMotionListeners();
+    
+    // Desktops and some webviews accept the request but never send readings
+    const alive = await _waitForMotionSamples();
+    if (_permissionStates.motion.state === 'denied') return;
+    if (alive) {
+      _setPermissionState('motion', 'granted', reason);
+    } else {
+      _setPermissionState('motion', 'unavailable',
+        `No motion readings arrived within ${SENSOR_LIVENESS_TIMEOUT / 1000} seconds (no sensor hardware, or the browser blocks it)`);
+    }
+    
+  } catch (error) {
+    console.error('Motion sensor permission error:', error);
+    if (_debugVisible) {
+      debugError('Motion sensor permission error:', error);
+    }
+    // iOS rejects with NotAllowedError when called outside a tap/click
+    if (error && error.name === 'NotAllowedError') {
+      _setPermissionState('motion', 'prompt', 'Motion permission must be requested from a tap or click');
+    } else {
+      _setPermissionState('motion', 'error', `Motion sensor error: ${(error && error.message) || error}`);
+    }
+  }
+}
+
+async function _requestCompassPermissionCore() {
+  if (typeof DeviceOrientationEvent === 'undefined') {
+    _setPermissionState('compass', 'unsupported', 'Device orientation events are not available in this browser');
+    return;
+  }
+  
+  try {
+    // iOS 13+: the compass arrives on deviceorientation, behind the same prompt as motion
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      const permission = await DeviceOrientationEvent.requestPermission();
+      if (permission !== 'granted') {
+        _setPermissionState('compass', 'denied', `Compass access was denied (orientation: ${permission})`);
+        return;
+      }
+      _setPermissionState('compass', 'granted', 'Compass access granted (webkitCompassHeading)');
+    } else if ('ondeviceorientationabsolute' in window) {
+      _setPermissionState('compass', 'granted', 'No permission prompt required (deviceorientationabsolute)');
+    } else {
+      _setPermissionState('compass', 'granted', 'No permission prompt required (absolute deviceorientation, where the browser provides it)');
+    }
+    
+    _startCompassListeners();
+    
+  } catch (error) {
+    console.error('Compass permission error:', error);
+    if (_debugVisible) {
+      debugError('Compass permission error:', error);
+    }
+    if (error && error.name === 'NotAllowedError') {
+      _setPermissionState('compass', 'prompt', 'Compass permission must be requested from a tap or click');
+    } else {
+      _setPermissionState('compass', 'error', `Compass error: ${(error && error.message) || error}`);
+    }
+  }
+}
+
+async function _requestLightPermissionCore() {
+  if (typeof window.AmbientLightSensor !== 'function') {
+    _setPermissionState('light', 'unsupported', 'AmbientLightSensor is not available in this browser');
+    return;
+  }
+  
+  try {
+    // There is no prompt: the first reading (or error) tells us whether access is allowed
+    await _startLightSensor();
+    _setPermissionState('light', 'granted', 'Light sensor access granted');
+  } catch (error) {
+    console.error('Light sensor error:', error);
+    if (_debugVisible) {
+      debugError('Light sensor error:', error);
+    }
+    // Generic sensors report missing hardware as NotReadableError
+    const result = error && error.name === 'NotReadableError'
+      ? { state: 'unsupported', reason: 'This device has no ambient light sensor' }
+      : _permissionStateFromError(error, 'Light sensor');
+    _setPermissionState('light', result.state, result.reason);
+  }
+}
+
+async function _requestMicrophonePermissionsCore() {
+  if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+    _setPermissionState('mic', 'unsupported', 'getUserMedia is not available (HTTPS is required)');
+    return;
+  }
+  
+  try {
+    // Use the sketch's own p5.AudioIn if it made one, otherwise create one
+    // when p5.sound is loaded, otherwise fall back to a plain Web Audio pipeline
+    let micStarted;
+    const sketchMic = _sketchMic();
+    if (sketchMic) {
+      _micInstance = sketchMic;
+    } else if (!_micInstance && typeof p5 !== 'undefined' && typeof p5.AudioIn === 'function') {
+      _micInstance = new p5.AudioIn();
+    }
+    
+    if (_micInstance) {
+      // Start audio context for p5.sound — not awaited, so the microphone
+      // request below is still made inside the user's tap. When the mic is
+      // auto-resumed without a tap the context stays suspended until the next
+      // one, so the permission result must not wait for it.
+      const startAudio = _p5SoundFunction('userStartAudio');
+      if (startAudio) {
+        startAudio().catch(error => console.warn('Audio context could not be started:', error));
+        _resumeAudioOnNextGesture();
+      }
+      
+      micStarted = _startAudioIn(_micInstance);
+    } else {
+      micStarted = _startRawMicrophone();
+    }
+    
+    _replaceMicStream(await micStarted);
+    _setPermissionState('mic', 'granted', _micInstance
+      ? 'Microphone access granted (p5.AudioIn)'
+      : 'Microphone access granted (Web Audio)');
+    _watchTracks('mic', _micStream);
+    
+  } catch (error) {
+    console.error('Microphone permission error:', error);
+    if (_debugVisible) {
+      debugError('Microphone permission error:', error);
+    }
+    const result = _permissionStateFromError(error, 'Microphone');
+    _setPermissionState('mic', result.state, result.reason);
+  }
+}
+
+// A repeat request (retry, requestPermissions(['mic']) again, auto-resume) gets a
+// new stream: stop the old one so it doesn't keep the recording indicator on.
+// stop() doesn't fire 'ended', so _watchTracks doesn't report it as lost.
+function _replaceMicStream(stream) {
+  if (_micStream && _micStream !== stream && typeof _micStream.getTracks === 'function') {
+    _micStream.getTracks().forEach(track => track.stop());
+  }
+  _micStream = stream;
+}
+
+// How long p5.AudioIn may take to start, prompt included, before the mic is an error
+const MIC_START_TIMEOUT = 10000;
+
+// p5.AudioIn reports getUserMedia success/failure through start()'s callbacks,
+// but not every p5.sound build calls them. Its stream having a live track counts
+// as success too, and the request gives up after MIC_START_TIMEOUT.
+function _startAudioIn(mic) {
+  return new Promise((resolve, reject) => {
+    const liveStream = () => {
+      const stream = mic.stream;
+      return stream && typeof stream.getAudioTracks === 'function' &&
+        stream.getAudioTracks().some(track => track.readyState === 'live') ? stream : null;
+    };
+    const finish = () => {
+      clearInterval(poll);
+      clearTimeout(timer);
+    };
+    const poll = setInterval(() => {
+      if (liveStream()) {
+        finish();
+        resolve(mic.stream);
+      }
+    }, 100);
+    const timer = setTimeout(() => {
+      finish();
+      reject(Object.assign(new Error(`p5.AudioIn did not start within ${MIC_START_TIMEOUT / 1000} seconds`), { name: 'TimeoutError' }));
+    }, MIC_START_TIMEOUT);
+    
+    try {
+      mic.start(() => {
+        finish();
+        resolve(mic.stream);
+      }, error => {
+        finish();
+        reject(error);
+      });
+    } catch (error) {
+      finish();
+      reject(error);
+    }
+  });
+}
+
+// Microphone without p5.sound: getUserMedia → MediaStreamSource → AnalyserNode.
+// The AudioContext and getUserMedia() are both started before the first await
+// so they count as part of the user's tap on iOS.
+function _startRawMicrophone() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    return Promise.reject(Object.assign(new Error('Web Audio API is not available'), { name: 'NotSupportedError' }));
+  }
+  
+  if (!_micAudioContext) {
+    _micAudioContext = new AudioContextClass();
+  }
+  const contextResumed = _micAudioContext.resume();
+  const streamReady = navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+  contextResumed.catch(error => console.warn('Audio context could not be started:', error));
+  
+  return streamReady.then(stream => {
+    if (_micSourceNode) {
+      _micSourceNode.disconnect();
+    }
+    _micSourceNode = _micAudioContext.createMediaStreamSource(stream);
+    _micAnalyser = _micAudioContext.createAnalyser();
+    _micAnalyser.fftSize = 1024;
+    _micSourceNode.connect(_micAnalyser);
+    _micLevelData = new Float32Array(_micAnalyser.fftSize);
+    return stream;
+  });
+}
+
+// The sketch's own p5.AudioIn: a global `mic`, or `mic` on an instance-mode sketch
+function _sketchMic() {
+  if (typeof mic !== 'undefined' && mic && mic.start) return mic;
+  const sketch = _sketches.find(instance => instance.mic && instance.mic.start);
+  return sketch ? sketch.mic : null;
+}
+
+// If the p5.sound audio context is still suspended (no tap yet), start it
+// on the next tap or key press anywhere on the page
+function _resumeAudioOnNextGesture() {
+  const getContext = _p5SoundFunction('getAudioContext');
+  const startAudio = _p5SoundFunction('userStartAudio');
+  if (!getContext || !startAudio || getContext().state === 'running') return;
+  
+  const resume = () => {
+    ['touchend', 'click', 'keydown'].forEach(type => {
+      document.removeEventListener(type, resume, true);
+    });
+    startAudio();
+  };
+  ['touchend', 'click', 'keydown'].forEach(type => {
+    document.addEventListener(type, resume, true);
+  });
+}
+
+async function _requestSoundOutputCore() {
+  try {
+    // Start audio context for p5.sound (enables sound playback)
+    const startAudio = _p5SoundFunction('userStartAudio');
+    if (!startAudio) {
+      // Nothing could play: soundEnabled must not claim otherwise
+      _setPermissionState('sound', 'unsupported', 'p5.sound is not loaded (add p5.sound.js to play sound)');
+      return;
+    }
+    await startAudio();
+    _setPermissionState('sound', 'granted', 'Audio context started');
+    
+  } catch (error) {
+    console.error('Sound output error:', error);
+    if (_debugVisible) {
+      debugError('Sound output error:', error);
+    }
+    _setPermissionState('sound', 'error', `Audio context could not be started: ${(error && error.message) || error}`);
+  }
+}
+
+async function _requestSpeechPermissionCore() {
+  if (!window.SpeechRecognition && !window.webkitSpeechRecognition) {
+    _setPermissionState('speech', 'unsupported', 'Web Speech API (SpeechRecognition) is not available in this browser');
+    return;
+  }
+  
+  try {
+    // Start audio context for Web Speech API
+    // DO NOT create or start p5.AudioIn - this would conflict with speech recognition
+    const startAudio = _p5SoundFunction('userStartAudio');
+    if (startAudio) {
+      await startAudio();
+    }
+    
+    _setPermissionState('speech', 'granted', 'Audio context started for speech recognition');
+    
+  } catch (error) {
+    console.error('Speech permission error:', error);
+    if (_debugVisible) {
+      debugError('Speech permission error:', error);
+    }
+    _setPermissionState('speech', 'error', `Speech recognition error: ${(error && error.message) || error}`);
+  }
+}
+
+async function _requestVibrationPermissionCore() {
+  try {
+    // Check if Vibration API is supported
+    if (!navigator.vibrate) {
+      console.warn('⚠️ Vibration API not supported on this device (likely iOS)');
+      if (_debugVisible) {
+        debugWarn('Vibration API not supported on this device');
+      }
+      _setPermissionState('vibration', 'unsupported', 'Vibration API is not supported on this device (likely iOS)');
+      return;
+    }
+    
+    // Test vibration with a short pulse
+    const vibrateSuccess = navigator.vibrate(1);
+    
+    if (vibrateSuccess) {
+      _setPermissionState('vibration', 'granted', 'Vibration available');
+      console.log('✅ Vibration enabled');
+    } else {
+      console.warn('⚠️ Vibration API available but vibration failed');
+      // Browsers reject vibrate() until the page has received a tap or click,
+      // and some ignore it while vibration is turned off in the device settings
+      _setPermissionState('vibration', 'error', 'navigator.vibrate() was refused - call it from a tap or click, and check vibration is on in the device settings');
+    }
+    
+  } catch (error) {
+    console.error('Vibration permission error:', error);
+    if (_debugVisible) {
+      debugError('Vibration permission error:', error);
+    }
+    _setPermissionState('vibration', 'error', `Vibration error: ${(error && error.message) || error}`);
+  }
+}
+
+// Decode an NDEFReadingEvent into { serialNumber, records }
+function _readNfcEvent(event) {
+  const serialNumber = event.serialNumber || '';
+  const decoder = new TextDecoder();
+  const records = [];
+
+  for (const record of event.message.records) {
+    const entry = {
+      recordType: record.recordType,
+      mediaType: record.mediaType || null,
+      id: record.id || null,
+      data: null,
+      raw: record.data
+    };
+
+    if (record.recordType === 'text' || record.recordType === 'url') {
+      entry.data = decoder.decode(record.data);
+    } else if (record.recordType === 'mime' && record.mediaType) {
+      try {
+        const text = decoder.decode(record.data);
+        if (record.mediaType.includes('json')) {
+          entry.data = JSON.parse(text);
+        } else {
+          entry.data = text;
+        }
+      } catch (e) {
+        entry.data = record.data;
+      }
+    } else {
+      entry.data = record.data;
+    }
+
+    records.push(entry);
+  }
+
+  return { serialNumber: serialNumber, records: records };
+}
+
+// A tag was read (or replayed): update the globals and tell the sketch
+function _handleNfcMessage(message) {
+  const serialNumber = message.serialNumber;
+  window.lastNfcMessage = message;
+  window.lastNfcSerialNumber = serialNumber;
+  _recordSessionEvent('nfc', { message: _nfcMessageToJSON(message) });
+
+  // Call user-defined callback if it exists
+  _callSketch('nfcRead', message, serialNumber);
+
+  console.log('NFC tag read — serial:', serialNumber, 'records:', message.records.length);
+  if (_debugVisible) {
+    debug('NFC tag read: ' + serialNumber);
+  }
+}
+
+async function _requestNfcPermissionCore() {
+  try {
+    // Check if Web NFC API is supported
+    if (!('NDEFReader' in window)) {
+      console.warn('⚠️ Web NFC API not supported on this device/browser (Android Chrome 89+ required)');
+      if (_debugVisible) {
+        debugWarn('Web NFC not supported on this device/browser');
+      }
+      _setPermissionState('nfc', 'unsupported', 'Web NFC is not supported on this device/browser (Android Chrome 89+ required)');
+      return;
+    }
+
+    _nfcAbortController = new AbortController();
+    _nfcReader = new NDEFReader();
+
+    _nfcReader.onreading = (event) => {
+      // A replayed session stands in for the live reader
+      if (_sessionReplay) return;
+      _handleNfcMessage(_readNfcEvent(event));
+    };
+
+    _nfcReader.onreadingerror = (event) => {
+      console.warn('⚠️ NFC read error — tag may be incompatible or out of range');
+      if (_debugVisible) {
+        debugWarn('NFC read error — tag incompatible or out of range');
+      }
+    };
+
+    await _nfcReader.scan({ signal: _nfcAbortController.signal });
+    _setPermissionState('nfc', 'granted', 'NFC scanning active');
+    console.log('✅ NFC scanning active');
+
+  } catch (error) {
+    if (error.name === 'NotAllowedError') {
+      console.warn('⚠️ NFC permission denied by user');
+      if (_debugVisible) {
+        debugWarn('NFC permission denied');
       }
+    } else if (error.name === 'NotSupportedError') {
+      console.warn('⚠️ NFC not supported on this device');
+      if (_debugVisible) {
+        debugWarn('NFC not supported on this device');
+      }
+    } else {
+      console.error('NFC permission error:', error);
+      if (_debugVisible) {
+        debugError('NFC error: ' + error.message);
+      }
+    }
+    const result = _permissionStateFromError(error, 'NFC');
+    _setPermissionState('nfc', result.state, result.reason);
+  }
+}
+
+// Core function for each capability — used by requestPermissions()
+const _permissionCores = {
+  motion: _requestMotionPermissionsCore,
+  mic: _requestMicrophonePermissionsCore,
+  sound: _requestSoundOutputCore,
+  speech: _requestSpeechPermissionCore,
+  vibration: _requestVibrationPermissionCore,
+  nfc: _requestNfcPermissionCore,
+  camera: _requestCameraPermissionCore,
+  compass: _requestCompassPermissionCore,
+  light: _requestLightPermissionCore
+};
+
+// A backend (desktop simulator or mock) stands in for the hardware it covers
+function _permissionCore(name) {
+  return (_backend && _backend.cores[name]) || _permissionCores[name];
+}
+
+// Human-readable capability labels for default UI text and log messages
+const _capabilityLabels = {
+  motion: 'motion sensors',
+  mic: 'microphone',
+  sound: 'sound',
+  speech: 'speech recognition',
+  vibration: 'vibration',
+  nfc: 'NFC',
+  camera: 'camera',
+  compass: 'compass',
+  light: 'light sensor'
+};
+
+function _capabilityList(names) {
+  if (!names) return ['motion'];
+  return Array.isArray(names) ? names : [names];
+}
+
+function _describeCapabilities(names) {
+  const labels = names.map(name => _capabilityLabels[_resolvePermissionName(name)] || name);
+  if (labels.length <= 1) return labels.join('');
+  return labels.slice(0, -1).join(', ') + ' & ' + labels[labels.length - 1];
+}
+
+// Permissions API names, used to auto-resume and to watch for revocation.
+// Sound, speech and vibration have none and always need a fresh user gesture.
+const _permissionQueryNames = {
+  motion: 'accelerometer',
+  mic: 'microphone',
+  nfc: 'nfc',
+  camera: 'camera',
+  compass: 'magnetometer',
+  light: 'ambient-light-sensor'
+};
+
+// Resolves to 'granted' / 'denied' / 'prompt', or null when the browser can't tell us
+function _queryPermission(permissionName) {
+  if (!navigator.permissions || typeof navigator.permissions.query !== 'function') {
+    return Promise.resolve(null);
+  }
+  return navigator.permissions.query({ name: permissionName })
+    .then(status => status.state)
+    .catch(() => null);
+}
+
+// Can this capability be started right now, without showing any UI?
+async function _canResume(name) {
+  if (_backend && _backend.cores[name]) return _backend.canResume(name);
+  
+  if (name === 'motion' || name === 'compass') {
+    if (typeof DeviceOrientationEvent === 'undefined') return false;
+    // iOS asks again on every visit and only from inside a tap
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') return false;
+    // Android answers 'granted' below; desktops and Firefox, which can't say
+    // whether there are sensors at all, keep the tap unless a grant is remembered
+  }
+  
+  const permissionName = _permissionQueryNames[name];
+  if (!permissionName) return false;
+  
+  const state = await _queryPermission(permissionName);
+  if (state !== null) return state === 'granted';
+  
+  // Permissions API can't answer (e.g. Firefox + microphone) — trust a grant
+  // remembered from an earlier visit; the browser re-prompts if it was revoked
+  return _loadRememberedGrants().includes(name);
+}
+
+// Start capabilities that are already granted immediately, and only show the
+// enable UI for the ones that still need a tap. The sketch is notified once,
+// after both groups have finished.
+function _enableWithResume(names, via, showUI) {
+  // enableSimulator() is still listening for real sensors - its answer picks the backend
+  if (_simulatorProbe) {
+    _simulatorProbe.then(() => _enableWithResume(names, via, showUI));
+    return;
+  }
+  
+  const capabilities = checkCapabilities().capabilities;
+  const requested = _capabilityList(names)
+    .map(name => _resolvePermissionName(name) || name);
+  
+  // Leave out capabilities this device can't provide, so the UI only asks for what can work
+  const unsupported = requested.filter(name => capabilities[name] && !capabilities[name].supported);
+  unsupported.forEach(name => {
+    console.warn(`⚠️ Skipping ${_capabilityLabels[name]}: ${capabilities[name].reason}`);
+    _setPermissionState(name, 'unsupported', capabilities[name].reason);
+  });
+  const list = requested.filter(name => !unsupported.includes(name));
+  
+  if (!list.length) {
+    _notifySketchReady();
+    return;
+  }
+  
+  Promise.all(list.map(name => _canResume(name))).then(checks => {
+    const resumable = list.filter((name, i) => checks[i]);
+    const remaining = list.filter((name, i) => !checks[i]);
+    
+    const resumed = resumable.length ? _requestPermissionsCore(resumable) : Promise.resolve({});
+    if (resumable.length) {
+      console.log(`✅ ${_describeCapabilities(resumable)} already granted - auto-starting`);
     }
     
-    window.sensorsEnabled = true;
+    if (!remaining.length) {
+      resumed.then(() => {
+        _notifySketchReady();
+        _offerRecovery(list);
+      });
+      return;
+    }
     
-  } catch (error) {
-    console.error('Motion sensor permission error:', error);
-    if (_debugVisible) {
-      debugError('Motion sensor permission error:', error);
+    showUI(remaining, async () => {
+      // Start the remaining requests first so they run inside the user's tap
+      const started = _requestPermissionsCore(remaining);
+      await Promise.all([resumed, started]);
+      _notifySketchReady();
+      console.log(`✅ ${_describeCapabilities(remaining)} enabled via ${via}`);
+      _offerRecovery(list);
+    });
+  }).catch(error => {
+    // e.g. an invalid selector passed to enableOn() - the sketch still hears back
+    debugError(`Could not set up the ${via} UI:`, (error && error.message) || error);
+    _notifySketchReady();
+  });
+}
+
+// Capabilities the user can unblock again from browser or system settings
+const _recoverablePermissions = ['motion', 'mic', 'camera', 'compass'];
+
+// Show the recovery screen for any requested capability that was denied.
+// Not for a timeout ('error'): the native prompt may still be open and get answered.
+function _offerRecovery(names) {
+  if (!_recoveryEnabled) return;
+  const blocked = names.filter(name => _recoverablePermissions.includes(name) &&
+    _permissionStates[name].state === 'denied');
+  if (blocked.length) {
+    console.warn(`⚠️ ${_describeCapabilities(blocked)} blocked - showing how to re-enable`);
+    _createRecoveryScreen(blocked, _retryPermissions);
+  }
+}
+
+// Retry button handler: called inside the tap, so the prompts can show again.
+// Per-capability callbacks fire again; userSetupComplete does not.
+async function _retryPermissions(names) {
+  const results = await _requestPermissionsCore(names);
+  _offerRecovery(names);
+  return results;
+}
+
+// Give up on a Core whose prompt never resolves (e.g. dismissed by switching apps).
+// If it does settle later, its state is updated and its callbacks fire then.
+function _withPermissionTimeout(name, request) {
+  if (!_permissionTimeout) return request;
+  
+  let timedOut = false;
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      const seconds = _permissionTimeout / 1000;
+      console.warn(`⚠️ ${_capabilityLabels[name]} prompt got no answer after ${seconds}s`);
+      _setPermissionState(name, 'error', `No answer to the permission prompt after ${seconds} seconds`);
+      resolve();
+    }, _permissionTimeout);
+  });
+  
+  const settled = request.then(() => {
+    clearTimeout(timer);
+    if (timedOut) _notifyPermissionReady(name);
+  });
+  return Promise.race([settled, timeout]);
+}
+
+// Run the Core functions for a list of capabilities and collect their states.
+// Every Core is started in the same tick, before anything is awaited: iOS only
+// honours permission prompts while the triggering tap is still being handled,
+// so awaiting one prompt before starting the next makes the second fail silently.
+// Each Core in turn makes its gesture-bound call before its own first await.
+async function _requestPermissionsCore(names) {
+  const results = {};
+  const keys = [];
+  
+  const capabilities = checkCapabilities().capabilities;
+  
+  for (const name of names) {
+    const key = _resolvePermissionName(name);
+    if (!key) {
+      console.warn(`⚠️ Unknown permission "${name}". Use one of: ${PERMISSION_NAMES.join(', ')}`);
+      results[name] = { state: 'unsupported', reason: `Unknown permission "${name}"` };
+    } else if (!capabilities[key].supported) {
+      // Don't start requests that cannot work here
+      _setPermissionState(key, 'unsupported', capabilities[key].reason);
+      results[key] = getPermissionState(key);
+      _notifyPermissionReady(key);
+    } else if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+  
+  // Each capability reports as soon as its own request settles
+  const pending = keys.map(key => _withPermissionTimeout(key, _permissionCore(key)())
+    .then(() => _notifyPermissionReady(key)));
+  await Promise.all(pending);
+  
+  keys.forEach(key => {
+    results[key] = getPermissionState(key);
+  });
+  
+  return results;
+}
+
+// p5-style callback the sketch can define for each capability
+const _readyCallbackNames = {
+  motion: 'userMotionReady',
+  mic: 'userMicReady',
+  sound: 'userSoundReady',
+  speech: 'userSpeechReady',
+  vibration: 'userVibrationReady',
+  nfc: 'userNfcReady',
+  camera: 'userCameraReady',
+  compass: 'userCompassReady',
+  light: 'userLightReady'
+};
+
+// Listeners registered with onPermission(), by capability
+const _permissionListeners = {};
+
+// Tell the sketch one capability has finished: onPermission() listeners get
+// every outcome, the userXxxReady() callback only runs when access was granted
+function _notifyPermissionReady(name) {
+  const result = getPermissionState(name);
+  
+  (_permissionListeners[name] || []).slice().forEach(listener => {
+    try {
+      listener(result, name);
+    } catch (error) {
+      console.error(`onPermission('${name}') listener error:`, error);
+    }
+  });
+  
+  if (result.state === 'granted') {
+    _callSketch(_readyCallbackNames[name], result);
+  }
+}
+
+function _notifySketchReady() {
+  // Call userSetupComplete if it exists
+  _callSketch('userSetupComplete');
+  
+  // Trigger a custom event for more advanced use cases
+  window.dispatchEvent(new CustomEvent('permissionsReady', {
+    detail: {
+      sensors: window.sensorsEnabled,
+      microphone: window.micEnabled,
+      sound: window.soundEnabled,
+      speech: window.speechEnabled,
+      vibration: window.vibrationEnabled,
+      nfc: window.nfcEnabled,
+      compass: window.compassEnabled,
+      light: window.lightEnabled,
+      gestures: window.gesturesLocked,
+      // Full { state, reason } record for every capability
+      permissions: getPermissionState()
+    }
+  }));
+}
+
+// =========================================
+// MOTION DATA — phone.motion
+// p5-phone reads deviceorientation/devicemotion itself and reports every
+// platform in one axis convention, independent of p5's rotationX/accelerationX:
+//   x → right edge of the screen, y → top edge, z → out of the screen
+// Readings follow the screen as it rotates to landscape (setMotionFrame('device') opts out).
+// accelerationIncludingGravity reads about +9.81 on z when lying face up.
+// Angles are kept in degrees and converted to the sketch's angleMode() on read.
+// =========================================
+
+// Latest readings after filtering (degrees, degrees/s, m/s²)
+const _motionData = {
+  orientation: { alpha: 0, beta: 0, gamma: 0 },
+  acceleration: { x: 0, y: 0, z: 0 },
+  accelerationIncludingGravity: { x: 0, y: 0, z: 0 },
+  rotationRate: { x: 0, y: 0, z: 0 },
+  tilt: { x: 0, y: 0 },
+  // Orientation accumulated without wrapping at ±180° / 360°
+  unwrapped: { alpha: 0, beta: 0, gamma: 0 },
+  absolute: false,
+  interval: 0,
+  timestamp: 0
+};
+
+const _motionChannels = ['orientation', 'acceleration', 'accelerationIncludingGravity', 'rotationRate', 'tilt'];
+const _angleChannels = ['orientation', 'rotationRate', 'tilt', 'unwrapped'];
+
+// The same readings before filtering (see setMotionFilter)
+const _motionRaw = {};
+_motionChannels.forEach(channel => {
+  _motionRaw[channel] = Object.assign({}, _motionData[channel]);
+});
+let _isIOSMotion = false;
+// 'screen': axes follow the screen as it rotates; 'device': axes fixed to the phone body
+let _motionFrame = 'screen';
+
+// p5 keeps the current angleMode() on the sketch instance (1.x and 2.x)
+function _sketchAngleMode() {
+  const instance = _activeSketch();
+  return instance && instance._angleMode === 'degrees' ? 'degrees' : 'radians';
+}
+
+function _toSketchAngle(degrees) {
+  return _sketchAngleMode() === 'degrees' ? degrees : degrees * Math.PI / 180;
+}
+
+// Read-only view of one channel; angles are converted when read
+function _motionView(source, channel) {
+  const view = {};
+  const isAngle = _angleChannels.includes(channel);
+  Object.keys(source[channel]).forEach(key => {
+    Object.defineProperty(view, key, {
+      enumerable: true,
+      get: () => isAngle ? _toSketchAngle(source[channel][key]) : source[channel][key]
+    });
+  });
+  return view;
+}
+
+function _motionViews(source) {
+  const views = {};
+  _motionChannels.forEach(channel => {
+    views[channel] = _motionView(source, channel);
+  });
+  return views;
+}
+
+// Registered as window.phone (a global const would clash with `let phone` in sketches)
+const _phone = {
+  motion: Object.assign({
+    raw: _motionViews(_motionRaw),
+    get absolute() { return _motionData.absolute; },
+    get interval() { return _motionData.interval; },
+    get timestamp() { return _motionData.timestamp; },
+    get frame() { return _motionFrame; },
+    get backend() { return _motionBackend; },
+    get sampleRate() { return _motionSampleRate(); },
+    get latency() { return _motionStats.latency; },
+    get calibrated() { return !!_calibration; },
+    get screenAngle() { return _screenAngle(); },
+    get quaternion() { return _orientationQuaternion(_motionData.orientation); },
+    get matrix() { return _toColumnMajor(_orientationMatrix(_motionData.orientation)); },
+    unwrapped: _motionView(_motionData, 'unwrapped')
+  }, _motionViews(_motionData)),
+  
+  compass: {
+    get heading() { return _toSketchAngle(_compassData.heading); },
+    get accuracy() { return _compassData.accuracy; },
+    get needsCalibration() { return _compassData.needsCalibration; },
+    get absolute() { return _compassData.absolute; },
+    get timestamp() { return _compassData.timestamp; }
+  },
+  
+  pedometer: {
+    get stepCount() { return _pedometerData.stepCount; },
+    get cadence() { return _pedometerData.cadence; },
+    get activity() { return _pedometerData.activity; }
+  },
+  
+  get light() { return _lightData.illuminance; }
+};
+
+// Last wrapped orientation, for unwrapping
+let _lastOrientation = null;
+
+function _startMotionListeners() {
+  if (_motionBackend) return;
+  
+  if (_sensorBackend !== 'devicemotion' && _genericSensorsAvailable()) {
+    if (_startGenericMotionSensors()) return;
+  }
+  if (_sensorBackend === 'generic') {
+    console.warn('⚠️ Generic Sensor API not available - using deviceorientation/devicemotion');
+  }
+  _startDeviceMotionListeners();
+}
+
+function _startDeviceMotionListeners() {
+  _motionBackend = 'devicemotion';
+  _isIOSMotion = _detectPlatform().os === 'ios';
+  window.addEventListener('deviceorientation', _handleDeviceOrientation);
+  window.addEventListener('devicemotion', _handleDeviceMotion);
+}
+
+function _stopMotionListeners() {
+  window.removeEventListener('deviceorientation', _handleDeviceOrientation);
+  window.removeEventListener('devicemotion', _handleDeviceMotion);
+  _stopGenericSensors(_genericMotionSensors);
+  _genericMotionSensors = [];
+  _motionBackend = null;
+  _resetMotionStats();
+}
+
+function _handleDeviceOrientation(event) {
+  _ingestMotionSample({
+    orientation: { alpha: event.alpha, beta: event.beta, gamma: event.gamma },
+    absolute: !!event.absolute,
+    timestamp: event.timeStamp
+  });
+}
+
+function _handleDeviceMotion(event) {
+  // iOS reports acceleration with the opposite sign to the spec (the simulator doesn't)
+  const sign = _isIOSMotion && !_simulatedEvents.has(event) ? -1 : 1;
+  const vector = v => v ? {
+    x: v.x == null ? null : v.x * sign,
+    y: v.y == null ? null : v.y * sign,
+    z: v.z == null ? null : v.z * sign
+  } : null;
+  const rate = event.rotationRate;
+  
+  _ingestMotionSample({
+    acceleration: vector(event.acceleration),
+    accelerationIncludingGravity: vector(event.accelerationIncludingGravity),
+    // alpha/beta/gamma rates are rotations about z/x/y
+    rotationRate: rate ? { x: rate.beta, y: rate.gamma, z: rate.alpha } : null,
+    // Safari reports the interval in seconds instead of milliseconds
+    interval: event.interval && event.interval < 1 ? event.interval * 1000 : event.interval,
+    timestamp: event.timeStamp
+  });
+}
+
+// Screen rotation relative to the phone's natural (portrait) orientation: 0, 90, 180 or 270.
+// iOS before 16.4 only has the deprecated window.orientation (-90 for 270).
+// replaySession() reports the angle that was recorded.
+function _screenAngle() {
+  if (_replayScreenAngle !== null) return _replayScreenAngle;
+  if (typeof screen !== 'undefined' && screen.orientation && typeof screen.orientation.angle === 'number') {
+    return screen.orientation.angle;
+  }
+  if (typeof window.orientation === 'number') {
+    return (window.orientation + 360) % 360;
+  }
+  return 0;
+}
+
+// Rotate an x/y vector into the screen frame: the screen's right edge is the
+// device x-axis turned by -angle. z (out of the screen) is unchanged.
+function _rotateVector(v, angle) {
+  const radians = angle * Math.PI / 180;
+  const c = Math.round(Math.cos(radians));
+  const s = Math.round(Math.sin(radians));
+  return { x: v.x * c - v.y * s, y: v.x * s + v.y * c, z: v.z };
+}
+
+// Express a device-frame sample in the screen frame. Orientation is re-derived from
+// the rotation matrix so beta and gamma keep their usual ranges.
+function _toScreenFrame(sample, angle) {
+  const remapped = Object.assign({}, sample);
+  
+  ['acceleration', 'accelerationIncludingGravity', 'rotationRate'].forEach(channel => {
+    const v = sample[channel];
+    if (!v || v.x == null || v.y == null) return;
+    remapped[channel] = _rotateVector(v, angle);
+  });
+  
+  const o = sample.orientation;
+  if (o && o.beta != null && o.gamma != null) {
+    const matrix = _multiplyMatrices(_orientationMatrix(o), _screenRotationMatrix(angle));
+    remapped.orientation = _matrixToOrientation(matrix);
+    if (o.alpha == null) remapped.orientation.alpha = null;
+  }
+  return remapped;
+}
+
+// Rotation matrix R = Rz(alpha) Rx(beta) Ry(gamma) for deviceorientation angles
+// (degrees). Its columns are the device x, y and z axes in earth coordinates.
+function _orientationMatrix(o) {
+  const d = Math.PI / 180;
+  const cA = Math.cos((o.alpha || 0) * d), sA = Math.sin((o.alpha || 0) * d);
+  const cB = Math.cos(o.beta * d), sB = Math.sin(o.beta * d);
+  const cG = Math.cos(o.gamma * d), sG = Math.sin(o.gamma * d);
+  return [
+    [cA * cG - sA * sB * sG, -cB * sA, cA * sG + cG * sA * sB],
+    [cG * sA + cA * sB * sG, cA * cB, sA * sG - cA * cG * sB],
+    [-cB * sG, sB, cB * cG]
+  ];
+}
+
+// Back to deviceorientation angles with gamma in [-90, 90] and beta in [-180, 180]
+function _matrixToOrientation(m) {
+  const d = Math.PI / 180;
+  const cosB = (m[2][2] < 0 ? -1 : 1) * Math.sqrt(m[2][0] * m[2][0] + m[2][2] * m[2][2]);
+  let alpha, gamma;
+  if (Math.abs(cosB) < 1e-6) {
+    // Phone standing on an edge: alpha and gamma are interchangeable
+    gamma = 0;
+    alpha = Math.atan2(m[1][0], m[0][0]) / d;
+  } else {
+    gamma = Math.atan2(-m[2][0] / cosB, m[2][2] / cosB) / d;
+    alpha = Math.atan2(-m[0][1] / cosB, m[1][1] / cosB) / d;
+  }
+  return {
+    alpha: (alpha + 360) % 360,
+    beta: Math.atan2(m[2][1], cosB) / d,
+    gamma: gamma
+  };
+}
+
+// Rz(-angle): the screen axes expressed in device coordinates
+function _screenRotationMatrix(angle) {
+  const radians = angle * Math.PI / 180;
+  const c = Math.round(Math.cos(radians));
+  const s = Math.round(Math.sin(radians));
+  return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+}
+
+// Unit quaternion { x, y, z, w } for deviceorientation angles (Z-X'-Y'' order).
+// Unlike the angles it has no gimbal lock: it stays smooth through 90° pitch.
+function _orientationQuaternion(o) {
+  const d = Math.PI / 360; // half angles
+  const cX = Math.cos(o.beta * d), sX = Math.sin(o.beta * d);
+  const cY = Math.cos(o.gamma * d), sY = Math.sin(o.gamma * d);
+  const cZ = Math.cos((o.alpha || 0) * d), sZ = Math.sin((o.alpha || 0) * d);
+  return {
+    x: sX * cY * cZ - cX * sY * sZ,
+    y: cX * sY * cZ + sX * cY * sZ,
+    z: cX * cY * sZ + sX * sY * cZ,
+    w: cX * cY * cZ - sX * sY * sZ
+  };
+}
+
+// 3×3 rotation → 4×4 column-major array (the order applyMatrix() and WebGL expect)
+function _toColumnMajor(m) {
+  return [
+    m[0][0], m[1][0], m[2][0], 0,
+    m[0][1], m[1][1], m[2][1], 0,
+    m[0][2], m[1][2], m[2][2], 0,
+    0, 0, 0, 1
+  ];
+}
+
+// The phone's rotation in p5 WEBGL axes (y down): lying flat (or the calibrated pose) is no rotation
+function _p5RotationMatrix() {
+  const m = _orientationMatrix(_motionData.orientation);
+  return m.map((row, i) => row.map((value, j) => (i === 1) !== (j === 1) ? -value : value));
+}
+
+function _unwrapOrientation(o) {
+  if (!_lastOrientation) {
+    Object.assign(_motionData.unwrapped, o);
+  } else {
+    Object.keys(_motionData.unwrapped).forEach(key => {
+      _motionData.unwrapped[key] += _wrapDegrees(o[key] - _lastOrientation[key]);
+    });
+  }
+  _lastOrientation = Object.assign({}, o);
+}
+
+function _multiplyMatrices(a, b) {
+  return a.map(row => [0, 1, 2].map(col =>
+    row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]));
+}
+
+function _transposeMatrix(m) {
+  return [0, 1, 2].map(row => [m[0][row], m[1][row], m[2][row]]);
+}
+
+// Tilt about the x-axis (forward/back) and y-axis (left/right) from the gravity
+// reading, in degrees. Matches beta/gamma for small tilts from lying flat.
+function _tiltFromGravity(g) {
+  return {
+    x: Math.atan2(g.y, g.z) * 180 / Math.PI,
+    y: Math.atan2(-g.x, g.z) * 180 / Math.PI
+  };
+}
+
+function _wrapDegrees(degrees) {
+  return ((degrees + 540) % 360) - 180;
+}
+
+// Single entry point for normalized device-frame readings. Takes a partial sample with
+// any of the channels plus absolute/interval/timestamp; missing or null values are skipped.
+function _ingestMotionSample(sample) {
+  // A replayed session stands in for the live sensors
+  if (_sessionReplay) return;
+  _recordSessionEvent('motion', { sample: sample, screenAngle: _screenAngle() });
+  _applyMotionSample(sample);
+}
+
+function _applyMotionSample(sample) {
+  _recordMotionArrival(sample);
+  _rememberDeviceSample(sample);
+  
+  const angle = _motionFrame === 'screen' ? _screenAngle() : 0;
+  if (angle) sample = _toScreenFrame(sample, angle);
+  if (_calibration) {
+    sample = _relativeToCalibration(sample, angle);
+  } else if (sample.accelerationIncludingGravity && sample.accelerationIncludingGravity.z != null) {
+    sample = Object.assign({ tilt: _tiltFromGravity(sample.accelerationIncludingGravity) }, sample);
+  }
+  
+  const time = sample.timestamp || performance.now();
+  _motionChannels.forEach(channel => {
+    const values = sample[channel];
+    if (!values) return;
+    Object.keys(_motionRaw[channel]).forEach(key => {
+      if (typeof values[key] === 'number' && !isNaN(values[key])) {
+        _motionRaw[channel][key] = values[key];
+        _motionData[channel][key] = _filterMotionValue(channel, key, values[key], time);
+      }
+    });
+  });
+  if (sample.orientation && _filtersRotation()) {
+    Object.assign(_motionData.orientation, _filterOrientation(_motionRaw.orientation, time));
+  }
+  if (sample.absolute !== undefined) _motionData.absolute = sample.absolute;
+  if (sample.interval !== undefined) _motionData.interval = sample.interval;
+  _motionData.timestamp = time;
+  
+  if (sample.orientation) {
+    _unwrapOrientation(_motionData.orientation);
+  }
+  if (sample.accelerationIncludingGravity) {
+    _detectMotionGestures(sample, time);
+    _detectSteps(sample, time);
+  }
+}
+
+// =========================================
+// MOTION CALIBRATION
+// calibrateMotion() stores the current pose (device frame) as neutral;
+// orientation and tilt are then reported relative to it, in the current frame.
+// =========================================
+
+const CALIBRATION_STORAGE_KEY = 'p5-phone:calibration';
+
+// { orientation: {alpha, beta, gamma} | null, gravity: {x, y, z} | null }
+let _calibration = _loadCalibration();
+// Set by calibrateMotion() before any reading has arrived
+let _calibrationPending = false;
+let _calibrationPendingSince = 0;
+
+// Latest device-frame readings, kept for calibrateMotion()
+let _lastDeviceOrientation = null;
+let _lastDeviceGravity = null;
+
+function _rememberDeviceSample(sample) {
+  const o = sample.orientation;
+  if (o && o.beta != null && o.gamma != null) {
+    _lastDeviceOrientation = { alpha: o.alpha || 0, beta: o.beta, gamma: o.gamma };
+  }
+  const g = sample.accelerationIncludingGravity;
+  if (g && g.x != null && g.y != null && g.z != null) {
+    _lastDeviceGravity = { x: g.x, y: g.y, z: g.z };
+  }
+  
+  // calibrateMotion() was called before the first reading arrived: wait for both
+  // orientation and gravity, or half a second for devices that only send one
+  if (_calibrationPending && (_lastDeviceOrientation || _lastDeviceGravity)) {
+    const now = performance.now();
+    if (!_calibrationPendingSince) _calibrationPendingSince = now;
+    if ((_lastDeviceOrientation && _lastDeviceGravity) || now - _calibrationPendingSince > 500) {
+      _calibrationPending = false;
+      _calibrationPendingSince = 0;
+      _captureCalibration();
     }
-    // Enable anyway for non-iOS devices (Android doesn't require requestPermission)
-    window.sensorsEnabled = true;
   }
 }
 
-async function _requestMicrophonePermissionsCore() {
+function _captureCalibration() {
+  _calibration = {
+    orientation: _lastDeviceOrientation ? Object.assign({}, _lastDeviceOrientation) : null,
+    gravity: _lastDeviceGravity ? Object.assign({}, _lastDeviceGravity) : null
+  };
   try {
-    // Start audio context for p5.sound
-    if (typeof userStartAudio !== 'undefined') {
-      await userStartAudio();
-    }
-    
-    // If there's a global mic object, start it
-    if (typeof mic !== 'undefined' && mic && mic.start) {
-      mic.start();
-      _micInstance = mic;
-      window.micEnabled = true;
-    } else {
-      console.warn('No microphone object found. Create one with: mic = new p5.AudioIn();');
-    }
-    
-  } catch (error) {
-    console.error('Microphone permission error:', error);
-    if (_debugVisible) {
-      debugError('Microphone permission error:', error);
+    window.localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(_calibration));
+  } catch (e) { /* storage unavailable (e.g. private browsing) */ }
+  console.log('✅ Motion calibrated - current pose is now neutral');
+}
+
+function _loadCalibration() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CALIBRATION_STORAGE_KEY) || 'null');
+    return stored && (stored.orientation || stored.gravity) ? stored : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Re-express a (frame-mapped) sample relative to the calibrated pose. The reference
+// is mapped with the current screen angle so turning the screen keeps it valid.
+function _relativeToCalibration(sample, angle) {
+  const relative = Object.assign({}, sample);
+  
+  const o = sample.orientation;
+  if (_calibration.orientation && o && o.beta != null && o.gamma != null) {
+    let reference = _orientationMatrix(_calibration.orientation);
+    if (angle) reference = _multiplyMatrices(reference, _screenRotationMatrix(angle));
+    const current = _orientationMatrix({ alpha: o.alpha || 0, beta: o.beta, gamma: o.gamma });
+    relative.orientation = _matrixToOrientation(_multiplyMatrices(_transposeMatrix(reference), current));
+  }
+  
+  const g = sample.accelerationIncludingGravity;
+  if (g && g.x != null && g.y != null && g.z != null) {
+    const tilt = _tiltFromGravity(g);
+    if (_calibration.gravity) {
+      const neutral = _tiltFromGravity(angle ? _rotateVector(_calibration.gravity, angle) : _calibration.gravity);
+      tilt.x = _wrapDegrees(tilt.x - neutral.x);
+      tilt.y = _wrapDegrees(tilt.y - neutral.y);
     }
+    relative.tilt = tilt;
   }
+  return relative;
 }
 
-async function _requestSoundOutputCore() {
-  try {
-    // Start audio context for p5.sound (enables sound playback)
-    if (typeof userStartAudio !== 'undefined') {
-      await userStartAudio();
+// =========================================
+// MOTION FILTERS
+// Optional per-channel smoothing for phone.motion (setMotionFilter).
+// Filters run on the internal degree values; angle channels filter along the
+// shortest way round so readings don't jump at ±180°. Orientation is smoothed
+// as one rotation (a quaternion) so it doesn't jump near ±90° pitch either.
+// =========================================
+
+// channel → { type, options, state: { key: {...} } }
+const _motionFilters = {};
+
+const _motionFilterDefaults = {
+  lowpass: { smoothing: 0.8 },
+  highpass: { smoothing: 0.8 },
+  oneEuro: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0 },
+  complementary: { gyroWeight: 0.98 }
+};
+
+function _filterMotionValue(channel, key, value, time) {
+  const filter = _motionFilters[channel];
+  if (!filter) return value;
+  // Smoothed as a whole by _filterOrientation()
+  if (channel === 'orientation' && _filtersRotation()) return value;
+  
+  const state = filter.state[key] || (filter.state[key] = {});
+  const dt = state.time ? Math.max((time - state.time) / 1000, 0.001) : 1 / 60;
+  state.time = time;
+  const isAngle = _angleChannels.includes(channel);
+  const diff = (a, b) => isAngle ? _wrapDegrees(a - b) : a - b;
+  
+  const result = _motionFilterSteps[filter.type](state, value, dt, filter.options, diff, key);
+  if (!isAngle || filter.type === 'highpass') return result;
+  return channel === 'orientation' && key === 'alpha' ? (result + 360) % 360 : _wrapDegrees(result);
+}
+
+// lowpass and oneEuro smooth the orientation as a rotation; highpass reports
+// per-angle changes, so it keeps filtering alpha, beta and gamma separately
+function _filtersRotation() {
+  const filter = _motionFilters.orientation;
+  return !!filter && filter.type !== 'highpass';
+}
+
+// Blend the orientation as a quaternion. Filtering beta and gamma one by one
+// jumps where the Euler angles swap over (near ±90° pitch); a slerp between
+// the rotations turns the shortest way and has no such seam.
+function _filterOrientation(o, time) {
+  const filter = _motionFilters.orientation;
+  const state = filter.state.rotation || (filter.state.rotation = {});
+  const dt = state.time ? Math.max((time - state.time) / 1000, 0.001) : 1 / 60;
+  state.time = time;
+  const target = _orientationQuaternion(o);
+  
+  if (!state.quaternion) {
+    state.quaternion = target;
+    state.speed = 0;
+  } else if (filter.type === 'lowpass') {
+    state.quaternion = _slerpQuaternions(state.quaternion, target, 1 - filter.options.smoothing);
+  } else {
+    // One Euro on the angle between the last output and the new reading
+    const options = filter.options;
+    const speed = _quaternionAngle(state.quaternion, target) / dt;
+    state.speed += _oneEuroSmoothing(options.dCutoff, dt) * (speed - state.speed);
+    const cutoff = options.minCutoff + options.beta * Math.abs(state.speed);
+    state.quaternion = _slerpQuaternions(state.quaternion, target, _oneEuroSmoothing(cutoff, dt));
+  }
+  
+  const q = state.quaternion;
+  return _quaternionToOrientation([q.x, q.y, q.z, q.w]);
+}
+
+// Spherical interpolation from a to b (amount 0 → a, 1 → b) the short way round
+function _slerpQuaternions(a, b, amount) {
+  let dot = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+  // q and -q are the same rotation: flip b to take the shorter arc
+  const sign = dot < 0 ? -1 : 1;
+  dot *= sign;
+  
+  let wa, wb;
+  if (dot > 0.9995) {
+    // Nearly equal: a normalized lerp avoids dividing by sin(≈0)
+    wa = 1 - amount;
+    wb = amount;
+  } else {
+    const theta = Math.acos(dot);
+    wa = Math.sin((1 - amount) * theta) / Math.sin(theta);
+    wb = Math.sin(amount * theta) / Math.sin(theta);
+  }
+  const q = ['x', 'y', 'z', 'w'].map(axis => wa * a[axis] + sign * wb * b[axis]);
+  const length = Math.hypot(...q);
+  return { x: q[0] / length, y: q[1] / length, z: q[2] / length, w: q[3] / length };
+}
+
+// Angle of the rotation from a to b, in degrees
+function _quaternionAngle(a, b) {
+  const dot = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+  return 2 * Math.acos(Math.min(1, dot)) * 180 / Math.PI;
+}
+
+// One Euro smoothing factor for a cutoff frequency (Hz) and time step (s)
+function _oneEuroSmoothing(cutoff, dt) {
+  return 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+}
+
+// One step of each filter type: (state, value, dt seconds, options, diff, key) → filtered value
+const _motionFilterSteps = {
+  // Exponential moving average: smoothing 0 = off, closer to 1 = smoother
+  lowpass(state, value, dt, options, diff) {
+    state.value = state.value === undefined
+      ? value
+      : state.value + (1 - options.smoothing) * diff(value, state.value);
+    return state.value;
+  },
+  
+  // What the low-pass leaves out: removes gravity and slow drift
+  highpass(state, value, dt, options, diff) {
+    return diff(value, _motionFilterSteps.lowpass(state, value, dt, options, diff));
+  },
+  
+  // One Euro filter (Casiez et al. 2012): smooth when still, responsive when moving fast
+  oneEuro(state, value, dt, options, diff) {
+    const smoothingFactor = cutoff => _oneEuroSmoothing(cutoff, dt);
+    if (state.value === undefined) {
+      state.value = value;
+      state.speed = 0;
+      return value;
     }
-    
-    window.soundEnabled = true;
-    
-  } catch (error) {
-    console.error('Sound output error:', error);
-    if (_debugVisible) {
-      debugError('Sound output error:', error);
+    const speed = diff(value, state.value) / dt;
+    state.speed += smoothingFactor(options.dCutoff) * (speed - state.speed);
+    const cutoff = options.minCutoff + options.beta * Math.abs(state.speed);
+    state.value += smoothingFactor(cutoff) * diff(value, state.value);
+    return state.value;
+  },
+  
+  // Tilt only: integrate the gyroscope and let gravity correct the drift
+  complementary(state, value, dt, options, diff, key) {
+    const rate = _motionRaw.rotationRate[key];
+    state.value = state.value === undefined
+      ? value
+      : value + options.gyroWeight * diff(state.value + rate * dt, value);
+    return state.value;
+  }
+};
+
+// =========================================
+// MOTION GESTURES
+// Recognizes shakes, flips, tilts, pick-ups and back double-taps from the
+// unfiltered devicemotion readings (screen frame, relative to any calibration).
+// Results go to onGesture() listeners, the phoneGesture event and
+// p5-style callbacks such as phoneShake(event).
+// =========================================
+
+const GESTURE_NAMES = ['shake', 'faceDown', 'faceUp', 'tiltLeft', 'tiltRight',
+  'tiltForward', 'tiltBack', 'pickUp', 'backTap'];
+
+// Thresholds are in m/s², degrees and milliseconds (cooldown = minimum time between events)
+const _gestureOptions = {
+  shake: { threshold: 15, jolts: 3, window: 1000, cooldown: 1000 },
+  faceDown: { angle: 30, hold: 300, cooldown: 500 },
+  faceUp: { angle: 30, hold: 300, cooldown: 500 },
+  tiltLeft: { angle: 30, hysteresis: 10, cooldown: 300 },
+  tiltRight: { angle: 30, hysteresis: 10, cooldown: 300 },
+  tiltForward: { angle: 30, hysteresis: 10, cooldown: 300 },
+  tiltBack: { angle: 30, hysteresis: 10, cooldown: 300 },
+  pickUp: { threshold: 1.5, stillTime: 1000, moveTime: 50, cooldown: 2000 },
+  backTap: { threshold: 3, minGap: 80, maxGap: 450, cooldown: 800 }
+};
+
+// p5-style callbacks the sketch can define for each gesture
+const _gestureCallbackNames = {
+  shake: 'phoneShake',
+  faceDown: 'phoneFaceDown',
+  faceUp: 'phoneFaceUp',
+  tiltLeft: 'phoneTiltLeft',
+  tiltRight: 'phoneTiltRight',
+  tiltForward: 'phoneTiltForward',
+  tiltBack: 'phoneTiltBack',
+  pickUp: 'phonePickUp',
+  backTap: 'phoneBackTap'
+};
+
+const _gestureListeners = {};
+const _lastGestureTime = {};
+
+// Working state for the detectors
+const _gestureState = {
+  gravity: null,           // low-passed gravity, for devices without acceleration
+  jolts: [],               // recent shake peaks { time, magnitude }
+  joltArmed: true,
+  face: null,              // 'up' | 'down' once known
+  faceCandidate: null,
+  faceSince: 0,
+  tilted: {},              // tilt gesture → currently past its angle
+  stillSince: 0,           // lying flat and still since
+  moveSince: 0,
+  taps: [],                // recent back-tap spike times
+  tapArmed: true
+};
+
+function _emitGesture(name, time, detail) {
+  const options = _gestureOptions[name];
+  if (time - (_lastGestureTime[name] || -Infinity) < options.cooldown) return;
+  _lastGestureTime[name] = time;
+  
+  const event = Object.assign({ gesture: name, time: time }, detail);
+  
+  (_gestureListeners[name] || []).slice().forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`onGesture('${name}') listener error:`, error);
     }
-    window.soundEnabled = true; // Enable anyway since no permission needed
+  });
+  
+  window.dispatchEvent(new CustomEvent('phoneGesture', { detail: event }));
+  
+  _callSketch(_gestureCallbackNames[name], event);
+}
+
+function _detectMotionGestures(sample, time) {
+  const g = sample.accelerationIncludingGravity;
+  if (g.x == null || g.y == null || g.z == null) return;
+  
+  // Movement without gravity: use the browser's value, or estimate it
+  const state = _gestureState;
+  state.gravity = state.gravity
+    ? { x: state.gravity.x * 0.9 + g.x * 0.1, y: state.gravity.y * 0.9 + g.y * 0.1, z: state.gravity.z * 0.9 + g.z * 0.1 }
+    : { x: g.x, y: g.y, z: g.z };
+  const a = sample.acceleration && sample.acceleration.x != null
+    ? sample.acceleration
+    : { x: g.x - state.gravity.x, y: g.y - state.gravity.y, z: g.z - state.gravity.z };
+  const magnitude = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+  const facing = g.z / (Math.sqrt(g.x * g.x + g.y * g.y + g.z * g.z) || 1);
+  
+  _detectShake(magnitude, time);
+  _detectFlip(facing, time);
+  // Tilt needs a steady gravity reading and the screen facing up
+  if (sample.tilt && facing > 0 && magnitude < 5) _detectTilt(sample.tilt, time);
+  _detectPickUp(magnitude, Math.abs(facing) > 0.95, time);
+  _detectBackTap(a, time);
+}
+
+// Several strong jolts within a short window
+function _detectShake(magnitude, time) {
+  const options = _gestureOptions.shake;
+  const state = _gestureState;
+  
+  if (magnitude > options.threshold && state.joltArmed) {
+    state.joltArmed = false;
+    state.jolts.push({ time: time, magnitude: magnitude });
+  } else if (magnitude < options.threshold * 0.5) {
+    // Re-arm once the jolt has passed, so one swing counts once
+    state.joltArmed = true;
+  }
+  
+  state.jolts = state.jolts.filter(jolt => time - jolt.time <= options.window);
+  if (state.jolts.length >= options.jolts) {
+    const intensity = Math.max(...state.jolts.map(jolt => jolt.magnitude));
+    _emitGesture('shake', time, { intensity: intensity, count: state.jolts.length });
+    state.jolts = [];
   }
 }
 
-async function _requestSpeechPermissionCore() {
-  try {
-    // Start audio context for Web Speech API
-    // DO NOT create or start p5.AudioIn - this would conflict with speech recognition
-    if (typeof userStartAudio !== 'undefined') {
-      await userStartAudio();
-    }
-    
-    window.speechEnabled = true;
-    
-  } catch (error) {
-    console.error('Speech permission error:', error);
-    if (_debugVisible) {
-      debugError('Speech permission error:', error);
+// Screen facing the floor or the sky, held briefly
+function _detectFlip(cosine, time) {
+  const state = _gestureState;
+  
+  let face = null;
+  if (cosine > Math.cos(_gestureOptions.faceUp.angle * Math.PI / 180)) face = 'up';
+  else if (cosine < -Math.cos(_gestureOptions.faceDown.angle * Math.PI / 180)) face = 'down';
+  
+  if (face !== state.faceCandidate) {
+    state.faceCandidate = face;
+    state.faceSince = time;
+    return;
+  }
+  const name = face === 'up' ? 'faceUp' : 'faceDown';
+  if (!face || face === state.face || time - state.faceSince < _gestureOptions[name].hold) return;
+  
+  // The first settled pose only sets the starting point
+  const previous = state.face;
+  state.face = face;
+  if (previous) _emitGesture(name, time, {});
+}
+
+// Tilt past an angle; re-arms once back inside it by the hysteresis margin
+function _detectTilt(tilt, time) {
+  const checks = {
+    tiltLeft: -tilt.y,
+    tiltRight: tilt.y,
+    tiltForward: -tilt.x,
+    tiltBack: tilt.x
+  };
+  Object.keys(checks).forEach(name => {
+    const options = _gestureOptions[name];
+    const amount = checks[name];
+    if (!_gestureState.tilted[name] && amount > options.angle) {
+      _gestureState.tilted[name] = true;
+      _emitGesture(name, time, { angle: _toSketchAngle(amount) });
+    } else if (_gestureState.tilted[name] && amount < options.angle - options.hysteresis) {
+      _gestureState.tilted[name] = false;
     }
+  });
+}
+
+// Sustained movement after lying flat and still (e.g. on a table).
+// A single knock is too short to count.
+function _detectPickUp(magnitude, flat, time) {
+  const options = _gestureOptions.pickUp;
+  const state = _gestureState;
+  
+  if (magnitude < options.threshold * 0.3) {
+    state.moveSince = 0;
+    if (!flat) state.stillSince = 0;
+    else if (!state.stillSince) state.stillSince = time;
+    return;
+  }
+  
+  if (!state.moveSince) state.moveSince = time;
+  const rested = state.stillSince && state.moveSince - state.stillSince >= options.stillTime;
+  if (rested && magnitude > options.threshold && time - state.moveSince >= options.moveTime) {
+    _emitGesture('pickUp', time, { stillFor: state.moveSince - state.stillSince });
+    state.stillSince = 0;
+  } else if (time - state.moveSince > 1000) {
+    // Moving around without a clear lift: no longer resting
+    state.stillSince = 0;
   }
 }
 
-async function _requestVibrationPermissionCore() {
+// Two sharp knocks along z, close together, without much sideways movement
+function _detectBackTap(a, time) {
+  const options = _gestureOptions.backTap;
+  const state = _gestureState;
+  const knock = Math.abs(a.z) > options.threshold &&
+    Math.abs(a.z) > 2 * Math.max(Math.abs(a.x), Math.abs(a.y));
+  
+  if (!knock) {
+    if (Math.abs(a.z) < options.threshold * 0.5) state.tapArmed = true;
+    return;
+  }
+  if (!state.tapArmed) return;
+  state.tapArmed = false;
+  
+  const last = state.taps[state.taps.length - 1];
+  if (last !== undefined && time - last < options.minGap) return;
+  
+  state.taps = state.taps.filter(tap => time - tap <= options.maxGap);
+  state.taps.push(time);
+  if (state.taps.length >= 2) {
+    _emitGesture('backTap', time, { interval: time - state.taps[0] });
+    state.taps = [];
+  }
+}
+
+// =========================================
+// PEDOMETER — phone.pedometer
+// Counts steps from the bounce in the length of accelerationIncludingGravity,
+// which doesn't depend on how the phone is held. The step threshold follows
+// the size of recent steps, so small bounces in a hand and big ones in a
+// pocket both count. Steps only count once a few arrive at a walking rhythm.
+// =========================================
+
+// m/s², milliseconds and steps per minute
+const _pedometerOptions = {
+  minThreshold: 1,      // smallest bounce that can be a step
+  minInterval: 250,     // fastest rhythm: 240 steps/min
+  maxInterval: 2000,    // a longer pause ends the walk
+  startSteps: 4,        // steps at a walking rhythm before counting starts
+  runningCadence: 140,  // at or above this, walking becomes running
+  shakeLevel: 12        // movement this strong (RMS) is shaking, not walking
+};
+
+const _pedometerData = {
+  stepCount: 0,
+  cadence: 0,           // steps per minute
+  activity: 'still'
+};
+
+// Working state for the step detector
+const _stepState = {
+  lastTime: 0,
+  smooth: null,         // |g| with sensor noise removed
+  baseline: null,       // slow average of |g| (gravity)
+  gravity: null,        // slow average of g, for the movement energy
+  energy: 0,            // mean square of the movement over about a second
+  peak: 0,              // highest bounce of the current step
+  amplitude: 0,         // typical step peak - sets the threshold
+  lastCandidate: 0,
+  pending: [],          // step times before the rhythm is confirmed
+  walking: false,
+  lastStep: 0,
+  interval: 0,          // smoothed ms between steps
+  shaking: false
+};
+
+function _detectSteps(sample, time) {
+  const g = sample.accelerationIncludingGravity;
+  if (g.x == null || g.y == null || g.z == null) return;
+  
+  const state = _stepState;
+  const options = _pedometerOptions;
+  const dt = state.lastTime ? Math.min(Math.max(time - state.lastTime, 0), 200) : 16;
+  state.lastTime = time;
+  // Exponential smoothing with a time constant in ms, whatever the sample rate
+  const ease = tau => 1 - Math.exp(-dt / tau);
+  
+  const magnitude = Math.sqrt(g.x * g.x + g.y * g.y + g.z * g.z);
+  state.smooth = state.smooth === null ? magnitude : state.smooth + (magnitude - state.smooth) * ease(40);
+  state.baseline = state.baseline === null ? magnitude : state.baseline + (magnitude - state.baseline) * ease(1000);
+  const bounce = state.smooth - state.baseline;
+  
+  // Movement energy from the whole vector: |g| alone folds a hard shake in half
+  const k = ease(1000);
+  state.gravity = state.gravity
+    ? { x: state.gravity.x + (g.x - state.gravity.x) * k, y: state.gravity.y + (g.y - state.gravity.y) * k, z: state.gravity.z + (g.z - state.gravity.z) * k }
+    : { x: g.x, y: g.y, z: g.z };
+  const mx = g.x - state.gravity.x, my = g.y - state.gravity.y, mz = g.z - state.gravity.z;
+  state.energy += (mx * mx + my * my + mz * mz - state.energy) * k;
+  // Forget big peaks over a few seconds so the threshold can come back down
+  state.amplitude *= 1 - ease(3000);
+  
+  // Shaking: strong movement with hysteresis, so the state doesn't flicker
+  const rms = Math.sqrt(state.energy);
+  state.shaking = state.shaking ? rms > options.shakeLevel / 2 : rms > options.shakeLevel;
+  
+  const threshold = Math.max(options.minThreshold, state.amplitude / 2);
+  if (bounce > threshold) {
+    state.peak = Math.max(state.peak, bounce);
+  } else if (state.peak > 0 && bounce < 0) {
+    _stepCandidate(time, state.peak);
+    state.peak = 0;
+  }
+  
+  if (state.walking && (state.shaking || time - state.lastStep > options.maxInterval)) {
+    _endWalk();
+  }
+  
+  let activity = 'still';
+  if (state.shaking) {
+    activity = 'shaking';
+  } else if (state.walking) {
+    activity = _pedometerData.cadence >= options.runningCadence ? 'running' : 'walking';
+  }
+  _setActivity(activity, time);
+}
+
+function _endWalk() {
+  _stepState.walking = false;
+  _stepState.pending = [];
+  _stepState.interval = 0;
+  _pedometerData.cadence = 0;
+}
+
+// One bounce has ended: count it, or hold it until the rhythm is confirmed
+function _stepCandidate(time, peak) {
+  const state = _stepState;
+  const options = _pedometerOptions;
+  const gap = time - state.lastCandidate;
+  // A second bump within the same step
+  if (gap < options.minInterval) return;
+  
+  state.lastCandidate = time;
+  state.amplitude = state.amplitude ? state.amplitude * 0.8 + peak * 0.2 : peak;
+  
+  // Shaking has a rhythm too - don't count it
+  if (state.shaking) {
+    state.pending = [];
+    return;
+  }
+  if (state.walking) {
+    _countStep(time, gap);
+    return;
+  }
+  if (gap > options.maxInterval) {
+    state.pending = [time];
+    return;
+  }
+  state.pending.push(time);
+  if (state.pending.length >= options.startSteps) {
+    state.walking = true;
+    state.pending.forEach((stepTime, i) => {
+      _countStep(stepTime, i ? stepTime - state.pending[i - 1] : 0);
+    });
+    state.pending = [];
+  }
+}
+
+function _countStep(time, gap) {
+  const state = _stepState;
+  if (gap) {
+    state.interval = state.interval ? state.interval * 0.7 + gap * 0.3 : gap;
+    _pedometerData.cadence = 60000 / state.interval;
+  }
+  state.lastStep = time;
+  _pedometerData.stepCount++;
+  
+  const event = { stepCount: _pedometerData.stepCount, cadence: _pedometerData.cadence, time: time };
+  window.dispatchEvent(new CustomEvent('phoneStep', { detail: event }));
+  _callSketch('stepDetected', event);
+}
+
+function _setActivity(activity, time) {
+  const previous = _pedometerData.activity;
+  if (activity === previous) return;
+  _pedometerData.activity = activity;
+  
+  const event = { activity: activity, previous: previous, time: time };
+  window.dispatchEvent(new CustomEvent('phoneActivity', { detail: event }));
+  _callSketch('activityChanged', event);
+}
+
+// =========================================
+// COMPASS — phone.compass
+// Heading in degrees clockwise from magnetic north, for the top edge of the
+// screen. Android: deviceorientationabsolute; iOS: webkitCompassHeading.
+// =========================================
+
+const _compassData = {
+  heading: 0,
+  accuracy: null,          // ± degrees (iOS only)
+  needsCalibration: false,
+  absolute: false,         // true once a north-referenced reading has arrived
+  timestamp: 0
+};
+
+// webkitCompassAccuracy above this (degrees) asks for a figure-eight calibration
+const COMPASS_ACCURACY_LIMIT = 25;
+
+let _compassCalibrationTimer = null;
+
+function _startCompassListeners() {
+  if (_compassBackend) return;
+  
+  // Chrome's own signal that the magnetometer needs calibrating
+  window.addEventListener('compassneedscalibration', _handleCompassNeedsCalibration);
+  
+  if (_sensorBackend !== 'devicemotion' && _startGenericCompassSensor()) return;
+  _startDeviceCompassListeners();
+}
+
+function _startDeviceCompassListeners() {
+  _compassBackend = 'devicemotion';
+  if ('ondeviceorientationabsolute' in window) {
+    window.addEventListener('deviceorientationabsolute', _handleCompassOrientation);
+  } else {
+    window.addEventListener('deviceorientation', _handleCompassOrientation);
+  }
+}
+
+function _stopCompassListeners() {
+  window.removeEventListener('deviceorientationabsolute', _handleCompassOrientation);
+  window.removeEventListener('deviceorientation', _handleCompassOrientation);
+  window.removeEventListener('compassneedscalibration', _handleCompassNeedsCalibration);
+  _stopGenericSensors(_genericCompassSensors);
+  _genericCompassSensors = [];
+  _compassBackend = null;
+}
+
+function _handleCompassOrientation(event) {
+  if (_sessionReplay) return;
+  const reading = {
+    alpha: event.alpha,
+    beta: event.beta,
+    gamma: event.gamma,
+    absolute: event.absolute,
+    webkitCompassHeading: event.webkitCompassHeading,
+    webkitCompassAccuracy: event.webkitCompassAccuracy,
+    timeStamp: event.timeStamp
+  };
+  _recordSessionEvent('compass', { reading: reading, screenAngle: _screenAngle() });
+  _applyCompassReading(reading);
+}
+
+function _applyCompassReading(event) {
+  const angle = _motionFrame === 'screen' ? _screenAngle() : 0;
+  let heading;
+  
+  if (typeof event.webkitCompassHeading === 'number') {
+    // iOS: already measured from north and tilt-compensated
+    heading = (event.webkitCompassHeading + angle) % 360;
+    _setCompassAccuracy(event.webkitCompassAccuracy);
+  } else if (event.absolute && event.alpha != null && event.beta != null && event.gamma != null) {
+    heading = _tiltCompensatedHeading(event, angle);
+  } else {
+    return;
+  }
+  
+  _compassData.heading = heading;
+  _compassData.absolute = true;
+  _compassData.timestamp = event.timeStamp || performance.now();
+}
+
+// Heading the user faces, whether the phone lies flat or stands upright: the screen's
+// top edge and its back both point that way when pitched, so their sum keeps a
+// horizontal direction (and no 90° flip) however far the phone is tilted.
+function _tiltCompensatedHeading(o, angle) {
+  let m = _orientationMatrix(o);
+  if (angle) m = _multiplyMatrices(m, _screenRotationMatrix(angle));
+  // Columns are the screen axes in earth coordinates (x east, y north, z up)
+  const east = m[0][1] - m[0][2];
+  const north = m[1][1] - m[1][2];
+  return (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+}
+
+function _setCompassAccuracy(accuracy) {
+  if (typeof accuracy !== 'number') return;
+  // iOS reports -1 while the compass is uncalibrated
+  _compassData.accuracy = accuracy < 0 ? null : accuracy;
+  _updateCompassCalibration(accuracy < 0 || accuracy > COMPASS_ACCURACY_LIMIT);
+}
+
+function _handleCompassNeedsCalibration(event) {
+  if (event && event.preventDefault) event.preventDefault();
+  _updateCompassCalibration(true);
+  // No accuracy reading on Android: clear the signal once Chrome stops asking
+  clearTimeout(_compassCalibrationTimer);
+  _compassCalibrationTimer = setTimeout(() => _updateCompassCalibration(false), 10000);
+}
+
+function _updateCompassCalibration(needed) {
+  if (needed === _compassData.needsCalibration) return;
+  _compassData.needsCalibration = needed;
+  if (!needed) return;
+  
+  console.warn('⚠️ Compass needs calibration - move the phone in a figure-eight');
+  window.dispatchEvent(new CustomEvent('compassNeedsCalibration', {
+    detail: { accuracy: _compassData.accuracy }
+  }));
+  _callSketch('userCompassNeedsCalibration', { accuracy: _compassData.accuracy });
+}
+
+// =========================================
+// SENSOR BACKENDS — Generic Sensor API
+// Where the browser has Accelerometer, Gyroscope and the orientation sensors
+// (Chrome on Android), phone.motion and phone.compass read them at
+// setSensorFrequency() instead of deviceorientation/devicemotion. Readings go
+// through _ingestMotionSample in the same units (degrees, degrees/s, m/s²), so
+// filters, calibration and gestures behave the same on either backend.
+// =========================================
+
+const SENSOR_BACKENDS = ['auto', 'generic', 'devicemotion'];
+
+let _sensorBackend = 'auto';
+let _sensorFrequency = 60;
+let _motionBackend = null;   // 'generic' or 'devicemotion' while motion is running
+let _compassBackend = null;
+let _genericMotionSensors = [];
+let _genericCompassSensors = [];
+
+function _genericSensorsAvailable() {
+  return typeof window.Accelerometer === 'function';
+}
+
+// null when the sensor is missing or blocked (a permissions policy throws SecurityError)
+function _createGenericSensor(SensorClass) {
+  if (typeof SensorClass !== 'function') return null;
   try {
-    // Check if Vibration API is supported
-    if (!navigator.vibrate) {
-      console.warn('⚠️ Vibration API not supported on this device (likely iOS)');
-      if (_debugVisible) {
-        debugWarn('Vibration API not supported on this device');
-      }
-      window.vibrationEnabled = false;
-      return;
-    }
-    
-    // Test vibration with a short pulse
-    const vibrateSuccess = navigator.vibrate(1);
-    
-    if (vibrateSuccess) {
-      window.vibrationEnabled = true;
-      console.log('✅ Vibration enabled');
-    } else {
-      console.warn('⚠️ Vibration API available but vibration failed');
-      window.vibrationEnabled = false;
-    }
-    
+    return new SensorClass({ frequency: _sensorFrequency, referenceFrame: 'device' });
   } catch (error) {
-    console.error('Vibration permission error:', error);
-    if (_debugVisible) {
-      debugError('Vibration permission error:', error);
+    console.warn(`⚠️ ${SensorClass.name} unavailable: ${(error && error.message) || error}`);
+    return null;
+  }
+}
+
+function _stopGenericSensors(sensors) {
+  sensors.forEach(sensor => {
+    try {
+      sensor.stop();
+    } catch (e) { /* already stopped */ }
+  });
+}
+
+function _startGenericMotionSensors() {
+  const accelerometer = _createGenericSensor(window.Accelerometer);
+  if (!accelerometer) return false;
+  
+  const linear = _createGenericSensor(window.LinearAccelerationSensor);
+  const gyroscope = _createGenericSensor(window.Gyroscope);
+  // Relative orientation matches Chrome's deviceorientation (alpha isn't north-referenced)
+  const orientation = _createGenericSensor(window.RelativeOrientationSensor) ||
+                      _createGenericSensor(window.AbsoluteOrientationSensor);
+  const sensors = [accelerometer, linear, gyroscope, orientation].filter(Boolean);
+  
+  // devicemotion delivers all three vectors together - send the latest of each
+  // with every accelerometer reading to keep that shape
+  const latest = { acceleration: null, rotationRate: null, timestamp: 0 };
+  const vector = sensor => ({ x: sensor.x, y: sensor.y, z: sensor.z });
+  
+  if (linear) {
+    linear.addEventListener('reading', () => {
+      latest.acceleration = vector(linear);
+    });
+  }
+  if (gyroscope) {
+    gyroscope.addEventListener('reading', () => {
+      // rad/s → degrees/s, the unit devicemotion uses
+      const d = 180 / Math.PI;
+      latest.rotationRate = { x: gyroscope.x * d, y: gyroscope.y * d, z: gyroscope.z * d };
+    });
+  }
+  accelerometer.addEventListener('reading', () => {
+    const timestamp = accelerometer.timestamp;
+    _ingestMotionSample({
+      acceleration: latest.acceleration,
+      accelerationIncludingGravity: vector(accelerometer),
+      rotationRate: latest.rotationRate,
+      // The browser may run slower than the requested frequency
+      interval: latest.timestamp ? timestamp - latest.timestamp : 1000 / _sensorFrequency,
+      timestamp: timestamp
+    });
+    latest.timestamp = timestamp;
+  });
+  if (orientation) {
+    orientation.addEventListener('reading', () => {
+      _ingestMotionSample({
+        orientation: _quaternionToOrientation(orientation.quaternion),
+        absolute: typeof window.AbsoluteOrientationSensor === 'function' &&
+                  orientation instanceof window.AbsoluteOrientationSensor,
+        timestamp: orientation.timestamp
+      });
+    });
+  }
+  sensors.forEach(sensor => {
+    sensor.addEventListener('error', event => _handleGenericMotionError(sensor, event.error));
+  });
+  
+  _genericMotionSensors = sensors;
+  _motionBackend = 'generic';
+  sensors.forEach(sensor => sensor.start());
+  console.log(`✅ Motion: Generic Sensor API at ${_sensorFrequency} Hz`);
+  return true;
+}
+
+function _handleGenericMotionError(sensor, error) {
+  if (!_genericMotionSensors.includes(sensor)) return;
+  
+  if (error && error.name === 'NotAllowedError') {
+    _stopMotionListeners();
+    _changePermissionState('motion', 'denied', 'Motion sensors are blocked in site settings');
+    return;
+  }
+  // NotReadableError: no such hardware, or the platform sensor failed
+  console.warn(`⚠️ ${sensor.constructor.name} failed (${(error && error.message) || error}) - ` +
+               'using deviceorientation/devicemotion');
+  _stopMotionListeners();
+  _startDeviceMotionListeners();
+}
+
+function _startGenericCompassSensor() {
+  const sensor = _createGenericSensor(window.AbsoluteOrientationSensor);
+  if (!sensor) return false;
+  
+  sensor.addEventListener('reading', () => {
+    const o = _quaternionToOrientation(sensor.quaternion);
+    _handleCompassOrientation({
+      alpha: o.alpha,
+      beta: o.beta,
+      gamma: o.gamma,
+      absolute: true,
+      timeStamp: sensor.timestamp
+    });
+  });
+  sensor.addEventListener('error', event => {
+    if (!_genericCompassSensors.includes(sensor)) return;
+    const error = event.error;
+    _stopCompassListeners();
+    if (error && error.name === 'NotAllowedError') {
+      _changePermissionState('compass', 'denied', 'The magnetometer is blocked in site settings');
+      return;
     }
-    window.vibrationEnabled = false;
+    console.warn(`⚠️ AbsoluteOrientationSensor failed (${(error && error.message) || error}) - ` +
+                 'using deviceorientationabsolute');
+    window.addEventListener('compassneedscalibration', _handleCompassNeedsCalibration);
+    _startDeviceCompassListeners();
+  });
+  
+  _genericCompassSensors = [sensor];
+  _compassBackend = 'generic';
+  sensor.start();
+  return true;
+}
+
+// Pick up a new backend or frequency in sensors that are already running
+function _restartSensorBackends() {
+  if (_motionBackend) {
+    _stopMotionListeners();
+    _startMotionListeners();
+  }
+  if (_compassBackend) {
+    _stopCompassListeners();
+    _startCompassListeners();
+  }
+  if (_lightSensor) {
+    _lightSensor.stop();
+    _startLightSensor().catch(error => {
+      console.warn(`⚠️ Light sensor restart failed: ${(error && error.message) || error}`);
+    });
   }
 }
 
-async function _requestNfcPermissionCore() {
-  try {
-    // Check if Web NFC API is supported
-    if (!('NDEFReader' in window)) {
-      console.warn('⚠️ Web NFC API not supported on this device/browser (Android Chrome 89+ required)');
-      if (_debugVisible) {
-        debugWarn('Web NFC not supported on this device/browser');
-      }
-      window.nfcEnabled = false;
-      return;
-    }
+// Generic Sensor quaternion [x, y, z, w] → deviceorientation angles.
+// Both describe the same device → earth rotation.
+function _quaternionToOrientation(q) {
+  const [x, y, z, w] = q;
+  return _matrixToOrientation([
+    [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+    [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+    [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)]
+  ]);
+}
 
-    _nfcAbortController = new AbortController();
-    _nfcReader = new NDEFReader();
+// =========================================
+// SENSOR LIVENESS
+// Motion only counts as granted once a reading with real (non-null) values
+// arrives. From then on the sampling rate and delivery latency are measured
+// for phone.motion and the debug panel.
+// =========================================
 
-    _nfcReader.onreading = (event) => {
-      const serialNumber = event.serialNumber || '';
-      const decoder = new TextDecoder();
-      const records = [];
-
-      for (const record of event.message.records) {
-        const entry = {
-          recordType: record.recordType,
-          mediaType: record.mediaType || null,
-          id: record.id || null,
-          data: null,
-          raw: record.data
-        };
-
-        if (record.recordType === 'text' || record.recordType === 'url') {
-          entry.data = decoder.decode(record.data);
-        } else if (record.recordType === 'mime' && record.mediaType) {
-          try {
-            const text = decoder.decode(record.data);
-            if (record.mediaType.includes('json')) {
-              entry.data = JSON.parse(text);
-            } else {
-              entry.data = text;
-            }
-          } catch (e) {
-            entry.data = record.data;
-          }
-        } else {
-          entry.data = record.data;
-        }
+// How long to wait for the first real motion reading after enabling (ms)
+const SENSOR_LIVENESS_TIMEOUT = 2000;
 
-        records.push(entry);
-      }
+const _motionStats = {
+  alive: false,
+  // Smoothed time between readings (ms), per event type: devicemotion and
+  // deviceorientation arrive separately and would otherwise double the rate
+  intervals: { motion: 0, orientation: 0 },
+  lastArrival: { motion: 0, orientation: 0 },
+  latency: 0       // smoothed ms from the reading's timestamp to our handler
+};
 
-      const message = { serialNumber: serialNumber, records: records };
-      window.lastNfcMessage = message;
-      window.lastNfcSerialNumber = serialNumber;
+let _motionLivenessWaiters = [];
+let _lastDebugStatsUpdate = 0;
 
-      // Call user-defined callback if it exists
-      if (typeof nfcRead === 'function') {
-        nfcRead(message, serialNumber);
-      }
+// Chrome on desktop fires one deviceorientation with every value null
+function _hasMotionValues(sample) {
+  return ['orientation', 'acceleration', 'accelerationIncludingGravity', 'rotationRate'].some(channel => {
+    const values = sample[channel];
+    return values && Object.keys(values).some(key => values[key] != null);
+  });
+}
 
-      console.log('NFC tag read — serial:', serialNumber, 'records:', records.length);
-      if (_debugVisible) {
-        debug('NFC tag read: ' + serialNumber);
-      }
+function _recordMotionArrival(sample) {
+  if (!_hasMotionValues(sample)) return;
+  
+  const now = performance.now();
+  const type = sample.orientation ? 'orientation' : 'motion';
+  const last = _motionStats.lastArrival[type];
+  if (last) {
+    const interval = now - last;
+    const previous = _motionStats.intervals[type];
+    _motionStats.intervals[type] = previous ? previous * 0.9 + interval * 0.1 : interval;
+  }
+  _motionStats.lastArrival[type] = now;
+  
+  // Event timestamps share performance.now()'s clock; old browsers used epoch time
+  const latency = now - sample.timestamp;
+  if (sample.timestamp && latency >= 0 && latency < 10000) {
+    _motionStats.latency = _motionStats.latency ? _motionStats.latency * 0.9 + latency * 0.1 : latency;
+  }
+  
+  if (!_motionStats.alive) {
+    _motionStats.alive = true;
+    _motionLivenessWaiters.forEach(resolve => resolve(true));
+    _motionLivenessWaiters = [];
+    // Readings that show up after the check gave up
+    if (_permissionStates.motion.state === 'unavailable') {
+      _changePermissionState('motion', 'granted', 'Motion readings started arriving');
+    }
+  }
+  
+  if (_debugPanel && now - _lastDebugStatsUpdate > 1000) {
+    _lastDebugStatsUpdate = now;
+    _updateDebugCapabilities();
+  }
+}
+
+// Resolves true on the first real reading, false after SENSOR_LIVENESS_TIMEOUT
+function _waitForMotionSamples() {
+  if (_motionStats.alive) return Promise.resolve(true);
+  
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      _motionLivenessWaiters = _motionLivenessWaiters.filter(waiter => waiter !== done);
+      resolve(false);
+    }, SENSOR_LIVENESS_TIMEOUT);
+    const done = alive => {
+      clearTimeout(timer);
+      resolve(alive);
     };
+    _motionLivenessWaiters.push(done);
+  });
+}
 
-    _nfcReader.onreadingerror = (event) => {
-      console.warn('⚠️ NFC read error — tag may be incompatible or out of range');
-      if (_debugVisible) {
-        debugWarn('NFC read error — tag incompatible or out of range');
-      }
+// Does this device have motion sensors? Decided by readings, like the check above:
+// true/false when already known, otherwise a Promise that listens for up to
+// SENSOR_LIVENESS_TIMEOUT without asking for permission
+function _detectMotionSensors() {
+  if (_motionStats.alive) return true;
+  if (_permissionStates.motion.state === 'unavailable') return false;
+  
+  const apis = checkCapabilities().apis;
+  if (!apis.deviceOrientationEvent && !apis.deviceMotionEvent) return false;
+  // Behind a permission prompt (iOS) nothing arrives until it is granted
+  if (apis.motionRequestPermission || apis.orientationRequestPermission) return true;
+  
+  return new Promise(resolve => {
+    const types = ['deviceorientation', 'devicemotion'];
+    const finish = found => {
+      clearTimeout(timer);
+      types.forEach(type => window.removeEventListener(type, handleReading));
+      resolve(found);
+    };
+    // Desktop Chrome sends one deviceorientation with every value null
+    const handleReading = event => {
+      const gravity = event.accelerationIncludingGravity;
+      const values = event.type === 'deviceorientation'
+        ? [event.alpha, event.beta, event.gamma]
+        : gravity ? [gravity.x, gravity.y, gravity.z] : [];
+      if (values.some(value => value != null)) finish(true);
     };
+    const timer = setTimeout(() => finish(false), SENSOR_LIVENESS_TIMEOUT);
+    types.forEach(type => window.addEventListener(type, handleReading));
+  });
+}
 
-    await _nfcReader.scan({ signal: _nfcAbortController.signal });
-    window.nfcEnabled = true;
-    console.log('✅ NFC scanning active');
+// A new source of readings - another sensor backend, the simulator or the mock -
+// is measured from scratch and has to send a reading before it counts as alive
+function _resetMotionStats() {
+  _motionStats.alive = false;
+  _motionStats.intervals = { motion: 0, orientation: 0 };
+  _motionStats.lastArrival = { motion: 0, orientation: 0 };
+  _motionStats.latency = 0;
+}
 
-  } catch (error) {
-    if (error.name === 'NotAllowedError') {
-      console.warn('⚠️ NFC permission denied by user');
-      if (_debugVisible) {
-        debugWarn('NFC permission denied');
+// Readings per second: devicemotion/accelerometer, or orientation when that's all there is
+function _motionSampleRate() {
+  const interval = _motionStats.intervals.motion || _motionStats.intervals.orientation;
+  return interval ? 1000 / interval : 0;
+}
+
+// =========================================
+// AMBIENT LIGHT — phone.light
+// Illuminance in lux from AmbientLightSensor. Only Chrome on Android has it,
+// behind chrome://flags/#enable-generic-sensor-extra-classes.
+// =========================================
+
+const _lightData = {
+  illuminance: 0,
+  timestamp: 0
+};
+
+let _lightSensor = null;
+
+// Resolves on the first reading; rejects with the sensor's error (there is no prompt)
+function _startLightSensor() {
+  return new Promise((resolve, reject) => {
+    let sensor;
+    try {
+      sensor = new window.AmbientLightSensor({ frequency: _sensorFrequency });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    
+    let settled = false;
+    sensor.addEventListener('reading', () => {
+      _lightData.illuminance = sensor.illuminance;
+      _lightData.timestamp = sensor.timestamp;
+      if (!settled) {
+        settled = true;
+        resolve();
       }
-    } else if (error.name === 'NotSupportedError') {
-      console.warn('⚠️ NFC not supported on this device');
-      if (_debugVisible) {
-        debugWarn('NFC not supported on this device');
+    });
+    sensor.addEventListener('error', event => {
+      if (sensor !== _lightSensor) return;
+      sensor.stop();
+      _lightSensor = null;
+      if (!settled) {
+        settled = true;
+        reject(event.error);
+        return;
       }
-    } else {
-      console.error('NFC permission error:', error);
-      if (_debugVisible) {
-        debugError('NFC error: ' + error.message);
+      const error = event.error;
+      if (error && error.name === 'NotAllowedError') {
+        _changePermissionState('light', 'denied', 'The light sensor is blocked in site settings');
+      } else {
+        _changePermissionState('light', 'error', `Light sensor error: ${(error && error.message) || error}`);
       }
-    }
-    window.nfcEnabled = false;
+    });
+    
+    _lightSensor = sensor;
+    sensor.start();
+  });
+}
+
+// =========================================
+// SESSION RECORDING & REPLAY
+// A trace is JSON: { format, version, recordedAt, userAgent, duration,
+// permissions, events: [{ t, type, ... }] } with t in ms from the start.
+// Replay hands each event to the function the live input goes through, so
+// filters, calibration, gestures and the pedometer run just as they did.
+// =========================================
+
+const SESSION_FORMAT = 'p5-phone-session';
+const SESSION_VERSION = 1;
+
+// How often the mic level is sampled while recording (ms)
+const SESSION_MIC_INTERVAL = 33;
+
+const _sessionTouchTypes = ['touchstart', 'touchmove', 'touchend', 'touchcancel'];
+
+let _sessionRecording = null;  // { start, micLevel, micTimer, trace }
+let _sessionReplay = null;     // { timer, resolve, permissions }
+let _replayScreenAngle = null;
+let _replayMicLevel = null;
+
+function _recordSessionEvent(type, data) {
+  if (!_sessionRecording || _sessionReplay) return;
+  const t = Math.round((performance.now() - _sessionRecording.start) * 10) / 10;
+  _sessionRecording.trace.events.push(Object.assign({ t: t, type: type }, data));
+}
+
+function _recordMicLevel() {
+  if (!window.micEnabled) return;
+  const level = getMicLevel();
+  if (_sessionRecording.micLevel !== null && Math.abs(level - _sessionRecording.micLevel) < 0.001) return;
+  _sessionRecording.micLevel = level;
+  _recordSessionEvent('mic', { level: Math.round(level * 10000) / 10000 });
+}
+
+// Touches are stored relative to the canvas (0-1) so they replay on any screen size
+function _sessionTouchArea() {
+  const canvas = document.querySelector('canvas');
+  if (canvas && typeof canvas.getBoundingClientRect === 'function') {
+    const rect = canvas.getBoundingClientRect();
+    return { element: canvas, left: rect.left, top: rect.top, width: rect.width || 1, height: rect.height || 1 };
   }
+  return { element: document.body, left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
 }
 
-// Wrapped versions that notify the sketch (used by single-permission functions)
-async function _requestMotionPermissions() {
-  await _requestMotionPermissionsCore();
-  _notifySketchReady();
+function _recordTouchEvent(event) {
+  const area = _sessionTouchArea();
+  const point = touch => ({
+    id: touch.identifier,
+    x: Math.round((touch.clientX - area.left) / area.width * 10000) / 10000,
+    y: Math.round((touch.clientY - area.top) / area.height * 10000) / 10000
+  });
+  _recordSessionEvent('touch', {
+    event: event.type,
+    touches: Array.from(event.touches || []).map(point),
+    changed: Array.from(event.changedTouches || []).map(point)
+  });
 }
 
-async function _requestMicrophonePermissions() {
-  await _requestMicrophonePermissionsCore();
-  _notifySketchReady();
+// p5.js 2.x reads touches from pointer events, 1.x from touch events. Desktop
+// Firefox and Safari can't create TouchEvents, so 1.x falls back to the mouse.
+function _replayTouch(event) {
+  const area = _sessionTouchArea();
+  const target = area.element;
+  const toClient = point => ({
+    id: point.id,
+    clientX: area.left + point.x * area.width,
+    clientY: area.top + point.y * area.height
+  });
+  const touches = event.touches.map(toClient);
+  const changed = event.changed.map(toClient);
+  const init = point => ({ clientX: point.clientX, clientY: point.clientY, bubbles: true, cancelable: true });
+  
+  if (_p5MajorVersion >= 2 && typeof window.PointerEvent === 'function') {
+    const type = { touchstart: 'pointerdown', touchmove: 'pointermove', touchend: 'pointerup', touchcancel: 'pointercancel' }[event.event];
+    const primary = (touches[0] || changed[0] || {}).id;
+    changed.forEach(point => {
+      target.dispatchEvent(new PointerEvent(type, Object.assign(init(point), {
+        pointerId: point.id,
+        pointerType: 'touch',
+        isPrimary: point.id === primary
+      })));
+    });
+    return;
+  }
+  
+  if (typeof window.Touch === 'function' && typeof window.TouchEvent === 'function') {
+    try {
+      const toTouch = point => new Touch({ identifier: point.id, target: target, clientX: point.clientX, clientY: point.clientY });
+      target.dispatchEvent(new TouchEvent(event.event, {
+        touches: touches.map(toTouch),
+        targetTouches: touches.map(toTouch),
+        changedTouches: changed.map(toTouch),
+        bubbles: true,
+        cancelable: true
+      }));
+      return;
+    } catch (e) { /* Touch can't be constructed here - use the mouse */ }
+  }
+  
+  if (!changed.length) return;
+  const type = { touchstart: 'mousedown', touchmove: 'mousemove', touchend: 'mouseup', touchcancel: 'mouseup' }[event.event];
+  target.dispatchEvent(new MouseEvent(type, Object.assign(init(changed[0]), {
+    button: 0,
+    buttons: type === 'mouseup' ? 0 : 1
+  })));
 }
 
-async function _requestSoundOutput() {
-  await _requestSoundOutputCore();
-  _notifySketchReady();
+// NFC records hold DataViews - store their bytes so the trace stays JSON
+function _nfcMessageToJSON(message) {
+  const bytes = view => view instanceof DataView
+    ? Array.from(new Uint8Array(view.buffer, view.byteOffset, view.byteLength))
+    : null;
+  return {
+    serialNumber: message.serialNumber,
+    records: message.records.map(record => Object.assign({}, record, {
+      data: record.data instanceof DataView ? bytes(record.data) : record.data,
+      binary: record.data instanceof DataView,
+      raw: bytes(record.raw)
+    }))
+  };
 }
 
-async function _requestSpeechPermission() {
-  await _requestSpeechPermissionCore();
-  _notifySketchReady();
+function _nfcMessageFromJSON(json) {
+  const view = bytes => bytes ? new DataView(new Uint8Array(bytes).buffer) : null;
+  return {
+    serialNumber: json.serialNumber,
+    records: json.records.map(record => {
+      const entry = Object.assign({}, record, {
+        data: record.binary ? view(record.data) : record.data,
+        raw: view(record.raw)
+      });
+      delete entry.binary;
+      return entry;
+    })
+  };
 }
 
-async function _requestVibrationPermission() {
-  await _requestVibrationPermissionCore();
-  _notifySketchReady();
+// Recorded permission states take effect without remembering grants on this device
+function _replayPermission(name, state, reason) {
+  if (!_permissionStates[name]) return;
+  _applyPermissionState(name, state, reason);
+  if (state !== 'prompt') _notifyPermissionReady(name);
 }
 
-async function _requestNfcPermission() {
-  await _requestNfcPermissionCore();
-  _notifySketchReady();
+const _sessionReplayers = {
+  motion: event => {
+    _replayScreenAngle = event.screenAngle || 0;
+    _applyMotionSample(Object.assign({}, event.sample, { timestamp: performance.now() }));
+  },
+  compass: event => {
+    _replayScreenAngle = event.screenAngle || 0;
+    _applyCompassReading(Object.assign({}, event.reading, { timeStamp: performance.now() }));
+  },
+  touch: _replayTouch,
+  mic: event => {
+    _replayMicLevel = event.level;
+  },
+  nfc: event => _handleNfcMessage(_nfcMessageFromJSON(event.message)),
+  permission: event => _replayPermission(event.name, event.state, event.reason)
+};
+
+function _playSession(trace, speed, loop) {
+  const events = trace.events;
+  const duration = trace.duration || (events.length ? events[events.length - 1].t : 0);
+  
+  return new Promise(resolve => {
+    _sessionReplay = { timer: null, resolve: resolve, permissions: getPermissionState() };
+    Object.keys(trace.permissions || {}).forEach(name => {
+      const record = trace.permissions[name];
+      _replayPermission(name, record.state, record.reason);
+    });
+    console.log(`▶️ Replaying session: ${events.length} events, ${(duration / 1000).toFixed(1)} s`);
+    
+    let index = 0;
+    let start = performance.now();
+    const step = () => {
+      const elapsed = (performance.now() - start) * speed;
+      while (_sessionReplay && index < events.length && events[index].t <= elapsed) {
+        const event = events[index++];
+        try {
+          (_sessionReplayers[event.type] || (() => {}))(event);
+        } catch (error) {
+          console.error(`Session replay error (${event.type} event):`, error);
+        }
+      }
+      // Stopped from inside a callback
+      if (!_sessionReplay) return;
+      
+      if (index >= events.length) {
+        if (!loop || !events.length) {
+          _endSessionReplay();
+          return;
+        }
+        if (elapsed >= duration) {
+          index = 0;
+          start = performance.now();
+        }
+      }
+      const next = index < events.length ? events[index].t : duration;
+      _sessionReplay.timer = setTimeout(step, Math.max(0, (next - elapsed) / speed));
+    };
+    step();
+  });
 }
 
-function _notifySketchReady() {
-  // Call userSetupComplete if it exists
-  if (typeof userSetupComplete === 'function') {
-    userSetupComplete();
-  }
+function _endSessionReplay() {
+  const replay = _sessionReplay;
+  clearTimeout(replay.timer);
+  _sessionReplay = null;
+  _replayScreenAngle = null;
+  _replayMicLevel = null;
+  Object.keys(replay.permissions).forEach(name => {
+    const record = replay.permissions[name];
+    _applyPermissionState(name, record.state, record.reason);
+  });
+  console.log('⏹️ Session replay finished');
+  replay.resolve();
+}
+
+// =========================================
+// ENVIRONMENT DETECTION
+// =========================================
+
+// In-app browsers (webviews) that commonly block sensors, camera or microphone
+const _inAppBrowserPatterns = [
+  ['Instagram', /Instagram/],
+  ['Facebook', /FBAN|FBAV|FB_IAB/],
+  ['TikTok', /musical_ly|BytedanceWebview|TikTok/i],
+  ['Snapchat', /Snapchat/],
+  ['Twitter/X', /Twitter/],
+  ['LinkedIn', /LinkedInApp/],
+  ['WeChat', /MicroMessenger/],
+  ['Line', /\bLine\//],
+  ['Pinterest', /Pinterest/]
+];
+
+function _detectPlatform() {
+  const ua = navigator.userAgent || '';
+  // iPadOS 13+ reports itself as a Mac
+  const isIPadOS = navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1;
   
-  // Trigger a custom event for more advanced use cases
-  window.dispatchEvent(new CustomEvent('permissionsReady', {
-    detail: {
-      sensors: window.sensorsEnabled,
-      microphone: window.micEnabled,
-      sound: window.soundEnabled,
-      speech: window.speechEnabled,
-      vibration: window.vibrationEnabled,
-      nfc: window.nfcEnabled,
-      gestures: window.gesturesLocked
+  let os = 'other';
+  if (/iPhone|iPad|iPod/.test(ua) || isIPadOS) os = 'ios';
+  else if (/Android/.test(ua)) os = 'android';
+  else if (/Mac OS X/.test(ua)) os = 'macos';
+  else if (/Windows/.test(ua)) os = 'windows';
+  else if (/Linux|CrOS/.test(ua)) os = 'linux';
+  
+  let browser = 'other';
+  if (/SamsungBrowser/.test(ua)) browser = 'samsung';
+  else if (/Edg(A|iOS)?\//.test(ua)) browser = 'edge';
+  else if (/Firefox|FxiOS/.test(ua)) browser = 'firefox';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'opera';
+  else if (/Chrome|CriOS/.test(ua)) browser = 'chrome';
+  else if (/Safari/.test(ua)) browser = 'safari';
+  
+  let inAppBrowser = null;
+  for (const [name, pattern] of _inAppBrowserPatterns) {
+    if (pattern.test(ua)) {
+      inAppBrowser = name;
+      break;
     }
-  }));
+  }
+  if (!inAppBrowser) {
+    if (os === 'android' && /; wv\)/.test(ua)) {
+      inAppBrowser = 'Android WebView';
+    } else if (os === 'ios' && !/Safari\//.test(ua)) {
+      // Every real iOS browser includes "Safari/" — webviews leave it out
+      inAppBrowser = 'iOS WebView';
+    }
+  }
+  
+  return {
+    os: os,
+    browser: browser,
+    mobile: os === 'ios' || os === 'android',
+    inAppBrowser: inAppBrowser
+  };
 }
 
 // =========================================
@@ -889,9 +4118,13 @@ function _createPermissionButton(buttonText, statusText, onClickHandler) {
     button.style.transform = 'translate(-50%, -50%) scale(1)';
   });
   
-  // Add multiple event handlers to ensure responsiveness
+  // Add multiple event handlers to ensure responsiveness.
+  // pointerup, touchend and click can all fire for one tap — only the first
+  // may run the handler, or the permission requests would be repeated.
+  let activated = false;
   const handleButtonClick = async () => {
-    if (button.parentNode) {
+    if (!activated && button.parentNode) {
+      activated = true;
       button.style.display = 'none';
       status.style.display = 'block';
       
@@ -959,8 +4192,11 @@ function _createTapToEnable(message, onTapHandler) {
   overlay.appendChild(messageDiv);
   
   // Add multiple event handlers to ensure responsiveness
+  // (guarded so one tap only runs the permission requests once)
+  let activated = false;
   const handleActivation = async () => {
-    if (overlay.parentNode) {
+    if (!activated && overlay.parentNode) {
+      activated = true;
       messageDiv.textContent = 'Enabling...';
       await onTapHandler();
       if (overlay.parentNode) {
@@ -999,6 +4235,223 @@ function _removeExistingUI() {
   if (banner) banner.remove();
 }
 
+// =========================================
+// RECOVERY SCREEN
+// Shown when motion, mic or camera access is blocked: explains how to
+// re-enable it on the detected platform and offers a retry button.
+// =========================================
+
+// Name of each capability in browser and system settings
+const _settingNames = {
+  motion: 'Motion sensors',
+  mic: 'Microphone',
+  camera: 'Camera',
+  compass: 'Motion sensors',
+  // Chrome lists the light sensor under the same site setting
+  light: 'Motion sensors'
+};
+
+// Step-by-step instructions for unblocking a capability on this platform
+function _recoveryInstructions(name, platform) {
+  const state = _permissionStates[name];
+  const setting = _settingNames[name];
+  const tap = platform.mobile ? 'Tap' : 'Click';
+  
+  if (state.state === 'error') {
+    return [state.reason, `${tap} Try again to ask once more`];
+  }
+  
+  if (platform.inAppBrowser) {
+    const browser = platform.os === 'ios' ? 'Safari' : 'Chrome';
+    return [
+      `${platform.inAppBrowser} can't turn ${_capabilityLabels[name]} back on`,
+      `Open this page in ${browser} (look for "Open in browser" in the menu)`
+    ];
+  }
+  
+  if (platform.os === 'ios') {
+    if (name === 'motion' || name === 'compass') {
+      return [
+        'Open Settings › Safari and turn on Motion & Orientation Access',
+        'Come back and reload this page',
+        'Tap Allow when asked for motion access'
+      ];
+    }
+    if (platform.browser === 'safari') {
+      return [
+        'Tap the aA button in the address bar › Website Settings',
+        `Set ${setting} to Allow (or Settings › Safari › ${setting})`,
+        'Tap Try again'
+      ];
+    }
+    const app = { chrome: 'Chrome', firefox: 'Firefox', edge: 'Edge', opera: 'Opera' }[platform.browser] || 'your browser';
+    return [
+      `Open Settings › ${app} and turn on ${setting}`,
+      'Come back and tap Try again'
+    ];
+  }
+  
+  if (platform.browser === 'safari') {
+    return [
+      'In the menu bar choose Safari › Settings for This Website…',
+      `Set ${setting} to Allow`,
+      'Click Try again'
+    ];
+  }
+  
+  if (platform.browser === 'firefox') {
+    return [
+      `${tap} the permissions icon next to the address bar`,
+      `Clear the blocked ${setting} permission`,
+      `${tap} Try again`
+    ];
+  }
+  
+  // Chrome, Edge, Samsung Internet and other Chromium browsers
+  return [
+    `${tap} the lock icon (site settings) next to the address bar`,
+    `Open Permissions and set ${setting} to Allow`,
+    `${tap} Try again`
+  ];
+}
+
+function _createRecoveryScreen(names, onRetry) {
+  const existing = document.getElementById('permissionRecovery');
+  if (existing) existing.remove();
+  
+  const platform = _detectPlatform();
+  // iOS only asks for motion again after a reload
+  const needsReload = platform.os === 'ios' && names.some(name =>
+    (name === 'motion' || name === 'compass') && _permissionStates[name].state === 'denied');
+  
+  // Overlay styled like the tap-to-enable screen
+  const overlay = document.createElement('div');
+  overlay.id = 'permissionRecovery';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.85);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 999999;
+    overflow-y: auto;
+    touch-action: manipulation;
+  `;
+  
+  const panel = document.createElement('div');
+  panel.style.cssText = `
+    color: white;
+    font-size: 16px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    max-width: 420px;
+    margin: 20px;
+    padding: 30px;
+    border: 2px solid rgba(255, 255, 255, 0.3);
+    border-radius: 12px;
+    background: rgba(255, 255, 255, 0.1);
+    backdrop-filter: blur(10px);
+  `;
+  
+  const title = document.createElement('div');
+  const description = _describeCapabilities(names);
+  title.textContent = `${description.charAt(0).toUpperCase()}${description.slice(1)} ${names.length > 1 ? 'are' : 'is'} blocked`;
+  title.style.cssText = 'font-size: 22px; font-weight: bold; margin-bottom: 16px;';
+  panel.appendChild(title);
+  
+  names.forEach(name => {
+    if (names.length > 1) {
+      const heading = document.createElement('div');
+      heading.textContent = _settingNames[name];
+      heading.style.cssText = 'font-weight: bold; margin-top: 12px;';
+      panel.appendChild(heading);
+    }
+    const steps = document.createElement('ol');
+    steps.style.cssText = 'margin: 8px 0; padding-left: 22px; line-height: 1.5;';
+    _recoveryInstructions(name, platform).forEach(text => {
+      const step = document.createElement('li');
+      step.textContent = text;
+      steps.appendChild(step);
+    });
+    panel.appendChild(steps);
+  });
+  
+  // Retry button styled like the permission button
+  const retryButton = document.createElement('button');
+  retryButton.textContent = needsReload ? 'Reload page' : 'Try again';
+  retryButton.style.cssText = `
+    display: block;
+    width: 100%;
+    margin-top: 20px;
+    padding: 16px;
+    font-size: 18px;
+    font-weight: bold;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    border: none;
+    border-radius: 12px;
+    cursor: pointer;
+    font-family: inherit;
+    touch-action: manipulation;
+  `;
+  
+  const dismissButton = document.createElement('button');
+  dismissButton.textContent = 'Continue without';
+  dismissButton.style.cssText = `
+    display: block;
+    width: 100%;
+    margin-top: 10px;
+    padding: 12px;
+    font-size: 16px;
+    background: transparent;
+    color: rgba(255, 255, 255, 0.8);
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    border-radius: 12px;
+    cursor: pointer;
+    font-family: inherit;
+    touch-action: manipulation;
+  `;
+  
+  panel.appendChild(retryButton);
+  panel.appendChild(dismissButton);
+  overlay.appendChild(panel);
+  
+  // Guarded like the other permission UI: touchend and click both fire for one tap
+  let activated = false;
+  const handleRetry = async () => {
+    if (activated || !overlay.parentNode) return;
+    activated = true;
+    if (needsReload) {
+      window.location.reload();
+      return;
+    }
+    retryButton.textContent = 'Requesting...';
+    // Hide the screen first so a fresh one can replace it if access is still blocked
+    const retried = onRetry(names);
+    overlay.remove();
+    await retried;
+  };
+  const handleDismiss = () => {
+    if (activated) return;
+    activated = true;
+    overlay.remove();
+  };
+  
+  [[retryButton, handleRetry], [dismissButton, handleDismiss]].forEach(([button, handler]) => {
+    button.addEventListener('click', handler);
+    button.addEventListener('touchend', function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      handler();
+    });
+  });
+  
+  document.body.appendChild(overlay);
+}
+
 // =========================================
 // ALTERNATIVE UI STYLES
 // =========================================
@@ -1008,8 +4461,9 @@ function _removeExistingUI() {
  * No overlay or button UI is shown. Optionally displays a text hint on the canvas.
  * @param {string|null} message - Optional hint text to display on canvas (or null for no hint)
  * @param {function} onActivateHandler - Async permission handler to run on first interaction
+ * @param {p5|Window} sketch - Sketch whose canvas is used (window in global mode)
  */
-function _createCanvasToEnable(message, onActivateHandler) {
+function _createCanvasToEnable(message, onActivateHandler, sketch = window) {
   _removeExistingUI();
   
   let activated = false;
@@ -1018,17 +4472,17 @@ function _createCanvasToEnable(message, onActivateHandler) {
   // Draw hint text on the canvas if message is provided
   if (message) {
     hintInterval = setInterval(() => {
-      const canvas = document.querySelector('canvas');
-      if (canvas && typeof push === 'function') {
+      const canvas = _sketchCanvas(sketch);
+      if (canvas && typeof sketch.push === 'function') {
         // Use p5 drawing functions to show hint
-        push();
-        fill(255, 255, 255, 200);
-        noStroke();
-        textAlign(CENTER, CENTER);
-        textSize(Math.min(canvas.width, canvas.height) * 0.04);
-        text(message, (typeof width !== 'undefined' ? width : canvas.width) / 2, 
-             (typeof height !== 'undefined' ? height : canvas.height) * 0.9);
-        pop();
+        sketch.push();
+        sketch.fill(255, 255, 255, 200);
+        sketch.noStroke();
+        sketch.textAlign(sketch.CENTER, sketch.CENTER);
+        sketch.textSize(Math.min(canvas.width, canvas.height) * 0.04);
+        sketch.text(message, (typeof sketch.width !== 'undefined' ? sketch.width : canvas.width) / 2, 
+                    (typeof sketch.height !== 'undefined' ? sketch.height : canvas.height) * 0.9);
+        sketch.pop();
       }
     }, 50);
   }
@@ -1044,17 +4498,21 @@ function _createCanvasToEnable(message, onActivateHandler) {
     }
     
     // Clean up listeners
-    document.removeEventListener('touchstart', handleFirstInteraction, true);
-    document.removeEventListener('mousedown', handleFirstInteraction, true);
+    if (canvas) {
+      canvas.removeEventListener('touchend', handleFirstInteraction, true);
+      canvas.removeEventListener('mousedown', handleFirstInteraction, true);
+    }
     
     await onActivateHandler();
   };
   
-  // Wait for canvas to appear, then attach listeners
+  // Wait for canvas to appear, then attach listeners.
+  // touchend (not touchstart) counts as a user gesture for iOS permission prompts.
+  let canvas = null;
   const waitForCanvas = () => {
-    const canvas = document.querySelector('canvas');
+    canvas = _sketchCanvas(sketch);
     if (canvas) {
-      canvas.addEventListener('touchstart', handleFirstInteraction, { once: true, capture: true });
+      canvas.addEventListener('touchend', handleFirstInteraction, { once: true, capture: true });
       canvas.addEventListener('mousedown', handleFirstInteraction, { once: true, capture: true });
     } else {
       // Canvas not ready yet — also listen on document as a fallback
@@ -1109,8 +4567,10 @@ function _createBannerToEnable(message, position, onActivateHandler) {
     });
   });
   
+  let activated = false;
   const handleActivation = async () => {
-    if (!banner.parentNode) return;
+    if (activated || !banner.parentNode) return;
+    activated = true;
     
     banner.textContent = 'Enabling...';
     banner.style.pointerEvents = 'none';
@@ -1240,7 +4700,8 @@ function _initializeEdgeSwipePrevention() {
     // Prevent canvas touches but not on permission UI
     if (e.target && e.target.tagName === 'CANVAS' && 
         !document.getElementById('tapOverlay') && 
-        !document.getElementById('permissionButton')) {
+        !document.getElementById('permissionButton') &&
+        !document.getElementById('permissionRecovery')) {
       e.preventDefault();
     }
   }, { passive: false, capture: true });
@@ -1270,7 +4731,9 @@ function _initializeOtherGesturePrevention() {
         e.target.id === 'permissionButton' ||
         e.target.id === 'permissionStatus' ||
         e.target.closest('#permissionButton') ||
-        e.target.closest('#permissionStatus')
+        e.target.closest('#permissionStatus') ||
+        e.target.closest('#permissionRecovery') ||
+        e.target.closest('#phone-simulator')
     )) {
       return; // Allow clicks on permission UI
     }
@@ -1299,11 +4762,14 @@ function _initializeP5TouchOverrides() {
     attempts++;
     // Check multiple signals that p5 setup has completed
     const p5Ready = (typeof p5 !== 'undefined' && p5.instance) ||
+                    _sketches.length ||
                     document.querySelector('canvas') ||
                     (typeof window.setup === 'function' && typeof window.draw === 'function');
     
     if (p5Ready) {
-      _overrideP5Touch();
+      // window in global mode, each instance in instance mode
+      const contexts = _sketches.map(_sketchContext);
+      (contexts.length ? contexts : [window]).forEach(_overrideP5Touch);
     } else if (attempts < maxAttempts) {
       setTimeout(tryOverride, 100);
     } else {
@@ -1314,10 +4780,14 @@ function _initializeP5TouchOverrides() {
   setTimeout(tryOverride, 100);
 }
 
-function _overrideP5Touch() {
-  const origMousePressed = window.mousePressed || function() {};
-  const origMouseDragged = window.mouseDragged || function() {};
-  const origMouseReleased = window.mouseReleased || function() {};
+// context: window for a global-mode sketch, the p5 instance in instance mode
+function _overrideP5Touch(context) {
+  if (_touchOverridden.has(context)) return;
+  _touchOverridden.add(context);
+  
+  const origMousePressed = context.mousePressed || function() {};
+  const origMouseDragged = context.mouseDragged || function() {};
+  const origMouseReleased = context.mouseReleased || function() {};
   
   // In p5.js 2.0, touch and mouse are unified via Pointer API.
   // mousePressed/mouseDragged/mouseReleased fire for ALL pointer types (mouse + touch).
@@ -1325,39 +4795,39 @@ function _overrideP5Touch() {
   // We wrap both sets for 1.x, and only mouse callbacks for 2.0.
   if (!_isP5v2) {
     // p5.js 1.x: also wrap touch-specific callbacks
-    const origTouchStarted = window.touchStarted || function() {};
-    const origTouchMoved = window.touchMoved || function() {};
-    const origTouchEnded = window.touchEnded || function() {};
+    const origTouchStarted = context.touchStarted || function() {};
+    const origTouchMoved = context.touchMoved || function() {};
+    const origTouchEnded = context.touchEnded || function() {};
     
-    window.touchStarted = function(e) {
-      origTouchStarted(e);
+    context.touchStarted = function(e) {
+      origTouchStarted.call(this, e);
       return false;
     };
     
-    window.touchMoved = function(e) {
-      origTouchMoved(e);
+    context.touchMoved = function(e) {
+      origTouchMoved.call(this, e);
       return false;
     };
     
-    window.touchEnded = function(e) {
-      origTouchEnded(e);
+    context.touchEnded = function(e) {
+      origTouchEnded.call(this, e);
       return false;
     };
   }
   
   // Mouse callbacks — work in both 1.x and 2.0
-  window.mousePressed = function(e) {
-    origMousePressed(e);
+  context.mousePressed = function(e) {
+    origMousePressed.call(this, e);
     return false;
   };
   
-  window.mouseDragged = function(e) {
-    origMouseDragged(e);
+  context.mouseDragged = function(e) {
+    origMouseDragged.call(this, e);
     return false;
   };
   
-  window.mouseReleased = function(e) {
-    origMouseReleased(e);
+  context.mouseReleased = function(e) {
+    origMouseReleased.call(this, e);
     return false;
   };
 }
@@ -1380,8 +4850,8 @@ document.addEventListener('DOMContentLoaded', function() {
       statusText.classList.remove('hidden');
       statusText.textContent = 'Requesting permissions...';
       
-      await _requestMotionPermissions();
-      await _requestMicrophonePermissions();
+      await _requestPermissionsCore(['motion', 'mic']);
+      _notifySketchReady();
       
       statusText.classList.add('hidden');
     });
@@ -1390,6 +4860,632 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 });
 
+// =========================================
+// BACKENDS
+// Hardware access normally goes straight to the browser APIs. The desktop
+// simulator and p5phone.useMock() install a backend that stands in for some
+// of it instead:
+//   name               'simulator' or 'mock'
+//   cores              { capability: async () => {} }, used instead of _permissionCores
+//   capability(name)   { supported, reason } reported by checkCapabilities()
+//   canResume(name)    whether enableTap()/enableButton() may skip their UI
+//   micLevel()         what getMicLevel() returns once the mic is enabled
+//   vibrate(pattern)   stands in for navigator.vibrate()
+//   createCapture(constraints, callback)   stands in for p5's, for PhoneCamera
+// Anything a backend leaves out still reaches the real hardware.
+// =========================================
+
+let _backend = null;
+
+// Backend permission outcomes aren't remembered on this device, but are recorded
+function _applyBackendPermission(name, state, reason) {
+  _applyPermissionState(name, state, reason);
+  _recordSessionEvent('permission', { name: name, state: state, reason: reason });
+}
+
+// What the backend granted goes back to 'prompt' when it is removed
+function _removeBackend(reason) {
+  const backend = _backend;
+  _backend = null;
+  _resetMotionStats();
+  Object.keys(backend.cores).forEach(name => {
+    if (_permissionStates[name].state === 'granted') {
+      _changePermissionState(name, 'prompt', reason);
+    }
+  });
+  if (_debugPanel) _updateDebugCapabilities();
+}
+
+// A single text record, or a url record for http(s) links, with a random serial
+function _nfcTextMessage(text) {
+  // jsdom has no TextEncoder - the raw bytes are left out there
+  const bytes = typeof TextEncoder === 'function' ? new TextEncoder().encode(text) : null;
+  const serial = Array.from({ length: 7 }, () =>
+    Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join(':');
+  return {
+    serialNumber: serial,
+    records: [{
+      recordType: /^https?:\/\//.test(text) ? 'url' : 'text',
+      mediaType: null,
+      id: null,
+      data: text,
+      raw: bytes ? new DataView(bytes.buffer) : null
+    }]
+  };
+}
+
+// =========================================
+// DESKTOP SIMULATOR
+// enableSimulator() fakes the phone hardware on a laptop. Orientation and
+// motion are dispatched as real deviceorientation/devicemotion events, so p5's
+// own rotationX/accelerationX and p5-phone's handlers both see them; the mic
+// level, NFC tags and vibration go through getMicLevel(), _handleNfcMessage()
+// and vibrate().
+// =========================================
+
+const SIMULATED_REASON = 'Simulated by the desktop simulator';
+
+// Events per second while the simulator runs
+const SIMULATOR_RATE = 60;
+
+// Degrees per arrow-key press and per pixel dragged
+const SIMULATOR_KEY_STEP = 5;
+const SIMULATOR_DRAG_SCALE = 0.5;
+
+let _simulator = null;
+// Pending enableSimulator() while it listens for real sensors
+let _simulatorProbe = null;
+// Events dispatched by the simulator, told apart from real ones in the handlers
+const _simulatedEvents = new WeakSet();
+
+function _grantSimulated(name) {
+  _applyBackendPermission(name, 'granted', SIMULATED_REASON);
+}
+
+// Used instead of _permissionCores while the simulator is on
+const _simulatedCores = {
+  motion: async () => {
+    _grantSimulated('motion');
+    // The simulator only produces devicemotion events
+    if (_motionBackend !== 'devicemotion') {
+      _stopMotionListeners();
+      _startDeviceMotionListeners();
+    }
+  },
+  compass: async () => {
+    _grantSimulated('compass');
+    if (_compassBackend !== 'devicemotion') {
+      _stopCompassListeners();
+      window.addEventListener('compassneedscalibration', _handleCompassNeedsCalibration);
+      _startDeviceCompassListeners();
+    }
+  },
+  mic: async () => _grantSimulated('mic'),
+  vibration: async () => _grantSimulated('vibration'),
+  nfc: async () => _grantSimulated('nfc')
+};
+
+const _simulatorBackend = {
+  name: 'simulator',
+  cores: _simulatedCores,
+  capability: () => ({ supported: true, reason: SIMULATED_REASON }),
+  canResume: () => true,
+  micLevel: () => _simulator.micLevel,
+  vibrate: pattern => {
+    _simulateVibration(pattern);
+    return true;
+  }
+};
+
+function _createSimulatorPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'phone-simulator';
+  panel.innerHTML = `
+    <div id="phone-simulator-header">
+      <span>Phone simulator</span>
+      <button id="phone-simulator-close">×</button>
+    </div>
+    <div id="phone-simulator-stage">
+      <div id="phone-simulator-phone"><div id="phone-simulator-screen">▲</div></div>
+    </div>
+    <div id="phone-simulator-readout"></div>
+    <label>Heading <input id="phone-simulator-heading" type="range" min="0" max="359" value="0"></label>
+    <div class="phone-simulator-row">
+      <button id="phone-simulator-reset">Lay flat</button>
+      <button id="phone-simulator-shake">Shake</button>
+    </div>
+    <label>Mic level <input id="phone-simulator-mic" type="range" min="0" max="1" step="0.01" value="0"></label>
+    <div class="phone-simulator-row">
+      <input id="phone-simulator-nfc-text" type="text" value="hello" placeholder="Tag text or URL">
+      <button id="phone-simulator-nfc">Inject NFC tag</button>
+    </div>
+    <div class="phone-simulator-row">
+      <span id="phone-simulator-vibration"></span> Vibration
+    </div>
+    <div id="phone-simulator-status">Drag the phone or use the arrow keys to tilt</div>
+  `;
+  
+  const style = document.createElement('style');
+  style.textContent = `
+    #phone-simulator {
+      position: fixed;
+      left: 20px;
+      bottom: 20px;
+      width: 240px;
+      background: rgba(0, 0, 0, 0.9);
+      color: #ffffff;
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      border-radius: 8px;
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+      z-index: 10000;
+      padding-bottom: 8px;
+    }
+    
+    #phone-simulator-header {
+      background: rgba(255, 255, 255, 0.1);
+      padding: 8px 12px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.2);
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      border-radius: 8px 8px 0 0;
+      font-weight: bold;
+    }
+    
+    #phone-simulator button {
+      background: rgba(255, 255, 255, 0.15);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      color: #ffffff;
+      border-radius: 4px;
+      padding: 4px 8px;
+      cursor: pointer;
+      font: inherit;
+    }
+    
+    #phone-simulator-close {
+      border: none !important;
+      background: none !important;
+      font-size: 18px !important;
+      padding: 0 !important;
+    }
+    
+    #phone-simulator-stage {
+      height: 150px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      perspective: 400px;
+      cursor: grab;
+      touch-action: none;
+    }
+    
+    #phone-simulator-phone {
+      width: 60px;
+      height: 110px;
+      background: #333;
+      border: 3px solid #999;
+      border-radius: 10px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transform-style: preserve-3d;
+    }
+    
+    #phone-simulator-screen {
+      width: 48px;
+      height: 90px;
+      background: #4a90d9;
+      border-radius: 4px;
+      display: flex;
+      justify-content: center;
+      padding-top: 4px;
+      box-sizing: border-box;
+    }
+    
+    #phone-simulator label,
+    .phone-simulator-row,
+    #phone-simulator-readout,
+    #phone-simulator-status {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin: 6px 12px 0;
+    }
+    
+    #phone-simulator input[type="range"] {
+      flex: 1;
+    }
+    
+    #phone-simulator-nfc-text {
+      flex: 1;
+      min-width: 0;
+      font: inherit;
+    }
+    
+    #phone-simulator-vibration {
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      background: #555;
+    }
+    
+    #phone-simulator-vibration.on {
+      background: #ff6b6b;
+      box-shadow: 0 0 8px #ff6b6b;
+    }
+    
+    #phone-simulator-status {
+      color: #aaa;
+      font-size: 11px;
+    }
+  `;
+  
+  document.head.appendChild(style);
+  document.body.appendChild(panel);
+  
+  _simulator = {
+    panel: panel,
+    style: style,
+    orientation: { alpha: 0, beta: 0, gamma: 0 },
+    previous: { alpha: 0, beta: 0, gamma: 0 },
+    lastTick: performance.now(),
+    shakeUntil: 0,
+    micLevel: 0,
+    vibrationTimers: [],
+    timer: setInterval(_simulatorTick, 1000 / SIMULATOR_RATE)
+  };
+  
+  document.getElementById('phone-simulator-close').onclick = disableSimulator;
+  document.getElementById('phone-simulator-reset').onclick = () => {
+    _setSimulatorOrientation({ alpha: 0, beta: 0, gamma: 0 });
+  };
+  document.getElementById('phone-simulator-shake').onclick = () => {
+    _simulator.shakeUntil = performance.now() + 600;
+  };
+  document.getElementById('phone-simulator-heading').oninput = event => {
+    _setSimulatorOrientation({ alpha: Number(event.target.value) });
+  };
+  document.getElementById('phone-simulator-mic').oninput = event => {
+    _simulator.micLevel = Number(event.target.value);
+  };
+  document.getElementById('phone-simulator-nfc').onclick = () => {
+    _injectSimulatedNfc(document.getElementById('phone-simulator-nfc-text').value);
+  };
+  _initializeSimulatorDrag(document.getElementById('phone-simulator-stage'));
+  window.addEventListener('keydown', _handleSimulatorKey);
+  
+  _setSimulatorOrientation({});
+}
+
+function _setSimulatorOrientation(changes) {
+  const o = Object.assign(_simulator.orientation, changes);
+  o.alpha = (o.alpha % 360 + 360) % 360;
+  o.beta = Math.max(-180, Math.min(180, o.beta));
+  o.gamma = Math.max(-90, Math.min(90, o.gamma));
+  
+  // Seen from above: CSS rotates clockwise with y down, the W3C angles counter-clockwise with y up
+  document.getElementById('phone-simulator-phone').style.transform =
+    `rotateZ(${-o.alpha}deg) rotateX(${-o.beta}deg) rotateY(${o.gamma}deg)`;
+  document.getElementById('phone-simulator-readout').textContent =
+    `β ${Math.round(o.beta)}°  γ ${Math.round(o.gamma)}°  α ${Math.round(o.alpha)}°`;
+}
+
+function _initializeSimulatorDrag(stage) {
+  let start = null;
+  
+  stage.addEventListener('pointerdown', event => {
+    start = { x: event.clientX, y: event.clientY, beta: _simulator.orientation.beta, gamma: _simulator.orientation.gamma };
+    stage.setPointerCapture(event.pointerId);
+  });
+  stage.addEventListener('pointermove', event => {
+    if (!start) return;
+    // Dragging right rolls the right edge down; dragging up lifts the top edge
+    _setSimulatorOrientation({
+      gamma: start.gamma + (event.clientX - start.x) * SIMULATOR_DRAG_SCALE,
+      beta: start.beta - (event.clientY - start.y) * SIMULATOR_DRAG_SCALE
+    });
+  });
+  const end = () => {
+    start = null;
+  };
+  stage.addEventListener('pointerup', end);
+  stage.addEventListener('pointercancel', end);
+}
+
+// Arrow keys tilt like the tiltLeft / tiltRight / tiltForward / tiltBack gestures
+function _handleSimulatorKey(event) {
+  const tag = event.target && event.target.tagName;
+  if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+  
+  const o = _simulator.orientation;
+  const step = SIMULATOR_KEY_STEP;
+  const changes = {
+    ArrowLeft: { gamma: o.gamma - step },
+    ArrowRight: { gamma: o.gamma + step },
+    ArrowUp: { beta: o.beta - step },
+    ArrowDown: { beta: o.beta + step }
+  }[event.key];
+  if (!changes) return;
+  
+  event.preventDefault();
+  _setSimulatorOrientation(changes);
+}
+
+// Create the event the browser would send; plain Events where the constructor is missing
+function _simulatedSensorEvent(type, EventClass, init) {
+  let event = null;
+  if (typeof EventClass === 'function') {
+    try {
+      event = new EventClass(type, init);
+    } catch (e) { /* fall through */ }
+  }
+  if (!event) {
+    event = new Event(type);
+    Object.keys(init).forEach(key => {
+      Object.defineProperty(event, key, { value: init[key] });
+    });
+  }
+  _simulatedEvents.add(event);
+  return event;
+}
+
+// Requested capabilities the hardware didn't grant and the simulator can stand in for
+function _simulatorFallbacks(names) {
+  return names
+    .map(name => _resolvePermissionName(name))
+    .filter(key => key && _simulatedCores[key] && _permissionStates[key].state !== 'granted');
+}
+
+function _showSimulator() {
+  // A mock may have been installed while enableSimulator() was listening
+  if (_backend) {
+    console.warn(`⚠️ Simulator not shown - the ${_backend.name} backend is in use (call p5phone.useHardware() first)`);
+    return false;
+  }
+  
+  _createSimulatorPanel();
+  _backend = _simulatorBackend;
+  _resetMotionStats();
+  if (_debugPanel) _updateDebugCapabilities();
+  console.log('✅ Desktop simulator enabled - drag the phone or use the arrow keys to tilt');
+  return true;
+}
+
+function _skipSimulator() {
+  console.log('Simulator not shown - this device has real motion sensors (use { force: true } to show it anyway)');
+  return false;
+}
+
+function _simulatorTick() {
+  const simulator = _simulator;
+  const o = simulator.orientation;
+  const now = performance.now();
+  const dt = Math.max(now - simulator.lastTick, 1) / 1000;
+  simulator.lastTick = now;
+  
+  // The accelerometer feels the earth's up axis, in device coordinates
+  const m = _orientationMatrix(o);
+  const g = { x: m[2][0] * 9.81, y: m[2][1] * 9.81, z: m[2][2] * 9.81 };
+  // Shake: sideways jolts of ±20 m/s², 60 ms each with a pause between
+  const jolt = now < simulator.shakeUntil
+    ? [20, 0, -20, 0][Math.floor((simulator.shakeUntil - now) / 60) % 4]
+    : 0;
+  const rate = key => _wrapDegrees(o[key] - simulator.previous[key]) / dt;
+  simulator.previous = Object.assign({}, o);
+  
+  // The simulated alpha is the heading, so both events are north-referenced
+  const orientation = { alpha: o.alpha, beta: o.beta, gamma: o.gamma, absolute: true };
+  window.dispatchEvent(_simulatedSensorEvent('deviceorientation', window.DeviceOrientationEvent, orientation));
+  window.dispatchEvent(_simulatedSensorEvent('deviceorientationabsolute', window.DeviceOrientationEvent, orientation));
+  window.dispatchEvent(_simulatedSensorEvent('devicemotion', window.DeviceMotionEvent, {
+    acceleration: { x: jolt, y: 0, z: 0 },
+    accelerationIncludingGravity: { x: g.x + jolt, y: g.y, z: g.z },
+    // devicemotion names rotation rates after the angles: alpha around z, beta around x, gamma around y
+    rotationRate: { alpha: rate('alpha'), beta: rate('beta'), gamma: rate('gamma') },
+    interval: 1000 / SIMULATOR_RATE
+  }));
+}
+
+function _injectSimulatedNfc(text) {
+  const status = document.getElementById('phone-simulator-status');
+  if (!window.nfcEnabled) {
+    status.textContent = 'NFC is not enabled - the sketch has to enable it first';
+    return;
+  }
+  
+  const message = _nfcTextMessage(text);
+  _handleNfcMessage(message);
+  status.textContent = `Injected NFC tag ${message.serialNumber}`;
+}
+
+// Light the indicator for each "on" part of a vibrate() pattern
+function _simulateVibration(pattern) {
+  const simulator = _simulator;
+  const indicator = document.getElementById('phone-simulator-vibration');
+  simulator.vibrationTimers.forEach(clearTimeout);
+  simulator.vibrationTimers = [];
+  indicator.classList.remove('on');
+  
+  const steps = Array.isArray(pattern) ? pattern : [pattern];
+  let time = 0;
+  steps.forEach((duration, i) => {
+    if (i % 2 === 0 && duration > 0) {
+      simulator.vibrationTimers.push(setTimeout(() => indicator.classList.add('on'), time));
+      simulator.vibrationTimers.push(setTimeout(() => indicator.classList.remove('on'), time + duration));
+    }
+    time += duration;
+  });
+}
+
+// =========================================
+// MOCK BACKEND — p5phone.useMock()
+// Scripted hardware for tests. Permission requests resolve with the scripted
+// outcome straight away; samples, tags and frames are pushed in by the test and
+// go through the same handlers (filters, gestures, pedometer, callbacks) as
+// live readings. Nothing is remembered in localStorage.
+// =========================================
+
+const MOCK_REASON = 'Mocked by p5phone.useMock()';
+
+// Size a mocked camera reports before the first frame
+const MOCK_CAMERA_WIDTH = 640;
+const MOCK_CAMERA_HEIGHT = 480;
+
+let _mock = null;
+
+function _createMock(options) {
+  const mock = {
+    permissions: {},     // { name: { state, reason } } - scripted outcomes
+    vibrations: [],
+    captures: [],
+    ignored: [],         // capabilities already warned about
+    micLevel: 0,
+    frame: null,
+    requireTap: !!options.requireTap,
+    
+    // Outcome of the next request for this capability
+    setPermission(name, state, reason) {
+      if (!_permissionStates[name]) {
+        console.warn(`⚠️ Unknown permission "${name}". Use one of: ${PERMISSION_NAMES.join(', ')}`);
+        return;
+      }
+      mock.permissions[name] = { state: state, reason: reason || `${MOCK_REASON} (${state})` };
+    },
+    
+    // A partial device-frame sample: orientation, acceleration,
+    // accelerationIncludingGravity, rotationRate (deg/s), interval, timestamp
+    motion(sample) {
+      if (!_mockEnabled(mock, 'motion')) return false;
+      _ingestMotionSample(Object.assign({ timestamp: performance.now() }, sample));
+      return true;
+    },
+    
+    // Degrees clockwise from north, or a deviceorientation-style reading
+    compass(reading) {
+      if (!_mockEnabled(mock, 'compass')) return false;
+      if (typeof reading === 'number') {
+        reading = { alpha: (360 - reading) % 360, beta: 0, gamma: 0, absolute: true };
+      }
+      _handleCompassOrientation(Object.assign({ timeStamp: performance.now() }, reading));
+      return true;
+    },
+    
+    mic(level) {
+      mock.micLevel = level;
+    },
+    
+    // Text (or an http(s) link), or a full { serialNumber, records } message
+    nfc(tag) {
+      if (!_mockEnabled(mock, 'nfc')) return false;
+      _handleNfcMessage(typeof tag === 'string' ? _nfcTextMessage(tag) : tag);
+      return true;
+    },
+    
+    // Any image p5 can draw (p5.Image, p5.Graphics, ...); every mocked camera shows it
+    cameraFrame(frame) {
+      mock.frame = frame;
+    },
+    
+    light(lux) {
+      if (!_mockEnabled(mock, 'light')) return false;
+      _lightData.illuminance = lux;
+      _lightData.timestamp = performance.now();
+      return true;
+    },
+    
+    restore: useHardware
+  };
+  
+  const permissions = Object.assign({}, options.permissions);
+  PERMISSION_NAMES.forEach(name => {
+    if (!(name in permissions)) permissions[name] = 'granted';
+  });
+  Object.keys(permissions).forEach(name => {
+    const outcome = permissions[name];
+    if (typeof outcome === 'string') {
+      mock.setPermission(name, outcome);
+    } else {
+      mock.setPermission(name, outcome.state, outcome.reason);
+    }
+  });
+  return mock;
+}
+
+// Like real hardware, nothing arrives until the capability is granted - and
+// nothing at all once this mock was restored or replaced by another useMock()
+function _mockEnabled(mock, name) {
+  if (_mock !== mock) {
+    if (!mock.ignored.includes('restored')) {
+      mock.ignored.push('restored');
+      console.warn('⚠️ Mock input ignored - this mock was restored or replaced');
+    }
+    return false;
+  }
+  if (_permissionStates[name].state === 'granted') return true;
+  if (!mock.ignored.includes(name)) {
+    mock.ignored.push(name);
+    console.warn(`⚠️ Mock ${_capabilityLabels[name]} input ignored until the permission is granted`);
+  }
+  return false;
+}
+
+async function _requestMockPermission(name) {
+  const outcome = _mock.permissions[name];
+  // A prompt nobody answers: setPermissionTimeout() decides, as on a phone
+  if (outcome.state === 'timeout') return new Promise(() => {});
+  _applyBackendPermission(name, outcome.state, outcome.reason);
+  if (outcome.state === 'granted' && name === 'camera') {
+    _initializePhoneCameras();
+  }
+}
+
+// Stands in for p5's createCapture: no stream, ready on the next tick
+function _createMockCapture(constraints, callback) {
+  const mock = _mock;
+  const capture = {
+    elt: {
+      readyState: 4,
+      srcObject: null,
+      addEventListener: () => {},
+      removeEventListener: () => {}
+    },
+    constraints: constraints,
+    get frame() { return mock.frame; },
+    get width() { return mock.frame ? mock.frame.width : MOCK_CAMERA_WIDTH; },
+    get height() { return mock.frame ? mock.frame.height : MOCK_CAMERA_HEIGHT; },
+    hide: () => {},
+    remove: () => {
+      const index = mock.captures.indexOf(capture);
+      if (index !== -1) mock.captures.splice(index, 1);
+    }
+  };
+  mock.captures.push(capture);
+  if (callback) Promise.resolve().then(callback);
+  return capture;
+}
+
+const _mockBackend = {
+  name: 'mock',
+  cores: PERMISSION_NAMES.reduce((cores, name) => {
+    cores[name] = () => _requestMockPermission(name);
+    return cores;
+  }, {}),
+  capability: name => {
+    const outcome = _mock.permissions[name];
+    return outcome.state === 'unsupported'
+      ? { supported: false, reason: outcome.reason }
+      : { supported: true, reason: MOCK_REASON };
+  },
+  canResume: () => !_mock.requireTap,
+  micLevel: () => _mock.micLevel,
+  vibrate: pattern => {
+    _mock.vibrations.push(pattern);
+    return true;
+  },
+  createCapture: _createMockCapture
+};
+
 // =========================================
 // DEBUG SYSTEM - ON-SCREEN CONSOLE
 // =========================================
@@ -1573,10 +5669,56 @@ window.vibrate = vibrate;
 window.stopVibration = stopVibration;
 window.enableNfcTap = enableNfcTap;
 window.enableNfcButton = enableNfcButton;
+window.enableCompassTap = enableCompassTap;
+window.enableCompassButton = enableCompassButton;
 window.stopNfc = stopNfc;
+window.getPermissionState = getPermissionState;
+window.forgetPermissions = forgetPermissions;
+window.phone = _phone;
+// A live value like p5's rotationX
+Object.defineProperty(window, 'compassHeading', { get: () => _phone.compass.heading, configurable: true });
+window.setMotionFrame = setMotionFrame;
+window.calibrateMotion = calibrateMotion;
+window.resetCalibration = resetCalibration;
+window.setMotionFilter = setMotionFilter;
+window.onGesture = onGesture;
+window.offGesture = offGesture;
+window.setGestureOptions = setGestureOptions;
+window.resetPedometer = resetPedometer;
+window.setPedometerOptions = setPedometerOptions;
+window.startSessionRecording = startSessionRecording;
+window.stopSessionRecording = stopSessionRecording;
+window.replaySession = replaySession;
+window.stopSessionReplay = stopSessionReplay;
+window.enableSimulator = enableSimulator;
+window.disableSimulator = disableSimulator;
+window.p5phone = p5phone;
+window.applyPhoneRotation = applyPhoneRotation;
+window.orbitPhoneCamera = orbitPhoneCamera;
+window.setSensorBackend = setSensorBackend;
+window.setSensorFrequency = setSensorFrequency;
+window.setPermissionTimeout = setPermissionTimeout;
+window.setPermissionRecovery = setPermissionRecovery;
+window.showPermissionHelp = showPermissionHelp;
+window.onPermission = onPermission;
+window.offPermission = offPermission;
+window.checkCapabilities = checkCapabilities;
+window.getMicLevel = getMicLevel;
+window.getLightLevel = getLightLevel;
+window.getCompassHeading = getCompassHeading;
+window.getMicStream = getMicStream;
+window.getMic = getMic;
+window.requestPermissions = requestPermissions;
 window.enableAllTap = enableAllTap;
 window.enableAllButton = enableAllButton;
 
+// Multi-capability helpers
+window.enableTap = enableTap;
+window.enableButton = enableButton;
+window.enableCanvas = enableCanvas;
+window.enableBanner = enableBanner;
+window.enableOn = enableOn;
+
 // Canvas-first-touch style
 window.enableGyroCanvas = enableGyroCanvas;
 window.enableMicCanvas = enableMicCanvas;
@@ -1586,6 +5728,7 @@ window.enableVibrationCanvas = enableVibrationCanvas;
 window.enableNfcCanvas = enableNfcCanvas;
 window.enableAllCanvas = enableAllCanvas;
 window.enableCameraCanvas = enableCameraCanvas;
+window.enableCompassCanvas = enableCompassCanvas;
 
 // Banner style
 window.enableGyroBanner = enableGyroBanner;
@@ -1596,6 +5739,7 @@ window.enableVibrationBanner = enableVibrationBanner;
 window.enableNfcBanner = enableNfcBanner;
 window.enableAllBanner = enableAllBanner;
 window.enableCameraBanner = enableCameraBanner;
+window.enableCompassBanner = enableCompassBanner;
 
 // Custom element binding
 window.enableGyroOn = enableGyroOn;
@@ -1606,6 +5750,7 @@ window.enableVibrationOn = enableVibrationOn;
 window.enableNfcOn = enableNfcOn;
 window.enableAllOn = enableAllOn;
 window.enableCameraOn = enableCameraOn;
+window.enableCompassOn = enableCompassOn;
 
 /**
  * Set up console overrides to capture console.error and console.warn
@@ -1674,6 +5819,10 @@ function _createDebugPanel() {
       <span>Debug</span>
       <button id="mobile-debug-close">×</button>
     </div>
+    <details id="mobile-debug-capabilities">
+      <summary>Capabilities</summary>
+      <div id="mobile-debug-capabilities-content"></div>
+    </details>
     <div id="mobile-debug-content"></div>
   `;
   
@@ -1731,6 +5880,28 @@ function _createDebugPanel() {
       border-radius: 4px;
     }
     
+    #mobile-debug-capabilities {
+      padding: 6px 12px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.2);
+      font-size: 11px;
+    }
+    
+    #mobile-debug-capabilities summary {
+      cursor: pointer;
+      font-weight: bold;
+    }
+    
+    #mobile-debug-capabilities-content {
+      margin-top: 6px;
+      line-height: 1.5;
+      max-height: 160px;
+      overflow-y: auto;
+    }
+    
+    .debug-capability.warning {
+      color: #ffd93d;
+    }
+    
     #mobile-debug-content {
       padding: 12px;
       max-height: 340px;
@@ -1782,6 +5953,60 @@ function _createDebugPanel() {
   
   // Update display with existing messages
   _updateDebugDisplay();
+  _updateDebugCapabilities();
+}
+
+/**
+ * Update the capabilities section of the debug panel
+ * Shows the checkCapabilities() report next to the current permission states
+ */
+function _updateDebugCapabilities() {
+  if (!_debugPanel) return;
+  
+  const content = document.getElementById('mobile-debug-capabilities-content');
+  if (!content) return;
+  
+  const report = checkCapabilities();
+  const states = getPermissionState();
+  const platform = report.platform;
+  
+  // Reasons and in-app browser names come from the browser: set as text, never as HTML
+  const rows = [
+    `HTTPS: ${report.secureContext ? 'yes' : 'NO'} · ${platform.os} / ${platform.browser}` +
+      (platform.inAppBrowser ? ` · in-app: ${platform.inAppBrowser}` : '')
+  ];
+  
+  PERMISSION_NAMES.forEach(name => {
+    const capability = report.capabilities[name];
+    const state = states[name];
+    const icon = !capability.supported ? '❌'
+      : state.state === 'granted' ? '✅'
+      : state.state === 'unavailable' ? '⚠️' : '⬜';
+    let detail = capability.supported ? state.state : capability.reason;
+    if (state.state === 'unavailable') {
+      detail += ` — ${state.reason}`;
+    } else if (name === 'motion' && _motionStats.alive) {
+      detail += ` · ${Math.round(_motionSampleRate())} Hz · ${Math.round(_motionStats.latency)} ms latency`;
+    }
+    rows.push(`${icon} ${name}: ${detail}`);
+  });
+  
+  content.textContent = '';
+  const addRow = (text, className) => {
+    const row = document.createElement('div');
+    row.className = className;
+    row.textContent = text;
+    content.appendChild(row);
+  };
+  rows.forEach(text => addRow(text, 'debug-capability'));
+  report.warnings.forEach(warning => addRow(`⚠️ ${warning}`, 'debug-capability warning'));
+  
+  // Open automatically when something needs attention
+  const details = document.getElementById('mobile-debug-capabilities');
+  if (details && report.warnings.length && !details.dataset.autoOpened) {
+    details.open = true;
+    details.dataset.autoOpened = 'true';
+  }
 }
 
 /**
@@ -1825,7 +6050,8 @@ class PhoneCamera {
     this._fixedHeight = 480;
     this._video = null;
     this._ready = false;
-    this._p5Instance = window;
+    // Sketch the camera belongs to (window in global mode before p5 has started)
+    this._p5Instance = _activeSketch() || window;
     this._onReadyCallback = null;
     
     // Store reference to createCapture for later use
@@ -1960,9 +6186,10 @@ class PhoneCamera {
     };
     
     // Use p5's createCapture
-    this._video = createCapture(constraints, () => {
+    this._video = _createCapture(this._p5Instance, constraints, () => {
       this._ready = true;
       this._video.hide(); // Hide default video element
+      _watchTracks('camera', this._video.elt && this._video.elt.srcObject);
       console.log('✅ PhoneCamera ready');
       this._checkVideoReady();
     });
@@ -2013,9 +6240,10 @@ class PhoneCamera {
       audio: false
     };
     
-    this._video = createCapture(constraints, () => {
+    this._video = _createCapture(this._p5Instance, constraints, () => {
       this._ready = true;
       this._video.hide();
+      _watchTracks('camera', this._video.elt && this._video.elt.srcObject);
       console.log(`✅ PhoneCamera switched to ${this._active} camera`);
     });
     
@@ -2057,8 +6285,9 @@ class PhoneCamera {
     // Get actual canvas DISPLAY dimensions (not drawing buffer dimensions)
     // In p5.js, the width/height globals represent the logical canvas size
     // which already accounts for pixel density in recent versions
-    const canvasWidth = (typeof width !== 'undefined') ? width : window.innerWidth;
-    const canvasHeight = (typeof height !== 'undefined') ? height : window.innerHeight;
+    const sketch = this._p5Instance;
+    const canvasWidth = (typeof sketch.width !== 'undefined') ? sketch.width : window.innerWidth;
+    const canvasHeight = (typeof sketch.height !== 'undefined') ? sketch.height : window.innerHeight;
     
     let drawWidth, drawHeight, drawX, drawY;
     
@@ -2185,14 +6414,15 @@ class PhoneCamera {
   /**
    * Custom draw method for p5.image() compatibility
    * This allows image(cam, x, y) to work
+   * @param {p5} sketch - Sketch to draw into (the one image() was called on)
    */
-  _draw() {
+  _draw(sketch = this._p5Instance) {
     if (!this._ready || !this._video) return;
     
     const dims = this.getDimensions();
     
     // Get canvas display dimensions for mirroring
-    const canvasWidth = (typeof width !== 'undefined') ? width : window.innerWidth;
+    const canvasWidth = (typeof sketch.width !== 'undefined') ? sketch.width : window.innerWidth;
     
     // Debug: log what we're drawing (once)
     if (!this._drawDebugLogged) {
@@ -2207,21 +6437,25 @@ class PhoneCamera {
       this._drawDebugLogged = true;
     }
     
+    // A mocked capture draws its latest frame (nothing until one is set)
+    const source = 'frame' in this._video ? this._video.frame : this._video;
+    if (!source) return;
+    
     // Save current drawing state
-    push();
+    sketch.push();
     
     // Apply mirroring if needed
     if (this._mirror) {
       // Mirror by flipping around the center of the canvas
-      translate(canvasWidth, 0);
-      scale(-1, 1);
+      sketch.translate(canvasWidth, 0);
+      sketch.scale(-1, 1);
       // Draw at the same logical position
-      image(this._video, dims.x, dims.y, dims.width, dims.height);
+      sketch.image(source, dims.x, dims.y, dims.width, dims.height);
     } else {
-      image(this._video, dims.x, dims.y, dims.width, dims.height);
+      sketch.image(source, dims.x, dims.y, dims.width, dims.height);
     }
     
-    pop();
+    sketch.pop();
   }
 }
 
@@ -2233,7 +6467,10 @@ class PhoneCamera {
  * @returns {PhoneCamera} - Camera instance
  */
 function createPhoneCamera(active = 'user', mirror = true, mode = 'fitHeight') {
-  return new PhoneCamera(active, mirror, mode);
+  const camera = new PhoneCamera(active, mirror, mode);
+  // p.createPhoneCamera() in instance mode: draw and capture through that sketch
+  if (typeof p5 === 'function' && this instanceof p5) camera._p5Instance = this;
+  return camera;
 }
 
 /**
@@ -2241,10 +6478,7 @@ function createPhoneCamera(active = 'user', mirror = true, mode = 'fitHeight') {
  * Creates a start button that user must click
  */
 function enableCameraButton(buttonText = 'ENABLE CAMERA', statusText = 'Starting camera...') {
-  _createPermissionButton(buttonText, statusText, async () => {
-    await _requestCameraPermission();
-    console.log('✅ Camera enabled via button');
-  });
+  enableButton(['camera'], buttonText, statusText);
 }
 
 /**
@@ -2252,66 +6486,54 @@ function enableCameraButton(buttonText = 'ENABLE CAMERA', statusText = 'Starting
  * User taps anywhere on screen to enable
  */
 function enableCameraTap(message = 'Tap screen to enable camera') {
-  // Check if camera permission is already granted
-  if (navigator.permissions && navigator.permissions.query) {
-    navigator.permissions.query({ name: 'camera' })
-      .then(permissionStatus => {
-        if (permissionStatus.state === 'granted') {
-          // Permission already granted - skip the tap UI and initialize immediately
-          console.log('✅ Camera permission already granted - auto-starting');
-          _requestCameraPermission();
-        } else {
-          // Permission not granted - show tap UI
-          _createTapToEnable(message, async () => {
-            await _requestCameraPermission();
-            console.log('✅ Camera enabled via tap');
-          });
-        }
-      })
-      .catch(() => {
-        // Permissions API not supported - show tap UI
-        _createTapToEnable(message, async () => {
-          await _requestCameraPermission();
-          console.log('✅ Camera enabled via tap');
-        });
-      });
-  } else {
-    // Fallback - show tap UI
-    _createTapToEnable(message, async () => {
-      await _requestCameraPermission();
-      console.log('✅ Camera enabled via tap');
-    });
-  }
+  // Skips the tap UI automatically when camera permission is already granted
+  enableTap(['camera'], message);
 }
 
-async function _requestCameraPermission() {
+async function _requestCameraPermissionCore() {
+  if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+    _setPermissionState('camera', 'unsupported', 'getUserMedia is not available (HTTPS is required)');
+    return;
+  }
+  
   try {
-    // Initialize any PhoneCamera instances that haven't been initialized yet
-    // This happens after user interaction grants camera permission
-    if (typeof window._phoneCameras !== 'undefined' && Array.isArray(window._phoneCameras)) {
-      for (let cam of window._phoneCameras) {
-        if (cam && !cam._ready && !cam._video) {
-          cam._initializeCamera();
-        }
-      }
-    }
-    
-    // Call userCameraReady callback if it exists (user-defined function)
-    if (typeof userCameraReady === 'function') {
-      userCameraReady();
-    }
-    
-    _notifySketchReady();
+    // Ask for the camera directly so a denial is reported instead of a blank video.
+    // The probe stream is released right away; PhoneCamera opens its own capture.
+    const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+    stream.getTracks().forEach(track => track.stop());
+    _setPermissionState('camera', 'granted', 'Camera access granted');
+    _initializePhoneCameras();
     
   } catch (error) {
     console.error('Camera permission error:', error);
     if (_debugVisible) {
       debugError('Camera permission error:', error);
     }
-    _notifySketchReady();
+    const result = _permissionStateFromError(error, 'Camera');
+    _setPermissionState('camera', result.state, result.reason);
+  }
+}
+
+// Initialize any PhoneCamera instances that haven't been initialized yet
+// This happens after user interaction grants camera permission
+function _initializePhoneCameras() {
+  if (typeof window._phoneCameras !== 'undefined' && Array.isArray(window._phoneCameras)) {
+    for (let cam of window._phoneCameras) {
+      if (cam && !cam._ready && !cam._video) {
+        cam._initializeCamera();
+      }
+    }
   }
 }
 
+// The sketch's createCapture, or the backend's stand-in
+function _createCapture(sketch, constraints, callback) {
+  if (_backend && _backend.createCapture) {
+    return _backend.createCapture(constraints, callback);
+  }
+  return sketch.createCapture(constraints, callback);
+}
+
 // Make camera functions globally accessible
 window.createPhoneCamera = createPhoneCamera;
 window.enableCameraButton = enableCameraButton;
@@ -2328,7 +6550,7 @@ if (typeof p5 !== 'undefined' && p5.prototype) {
       
       // Always use auto-positioning for PhoneCamera
       // The camera calculates the correct position based on mode (fitHeight, fitWidth, etc)
-      cam._draw();
+      cam._draw(this);
     } else {
       // Not a PhoneCamera, use original image function
       originalImage.apply(this, args);
@@ -2361,10 +6583,54 @@ if (typeof p5 !== 'undefined' && p5.prototype) {
   p5.prototype.stopVibration = stopVibration;
   p5.prototype.enableNfcTap = enableNfcTap;
   p5.prototype.enableNfcButton = enableNfcButton;
+  p5.prototype.enableCompassTap = enableCompassTap;
+  p5.prototype.enableCompassButton = enableCompassButton;
   p5.prototype.stopNfc = stopNfc;
+  p5.prototype.getPermissionState = getPermissionState;
+  p5.prototype.forgetPermissions = forgetPermissions;
+  p5.prototype.phone = _phone;
+  Object.defineProperty(p5.prototype, 'compassHeading', { get: () => _phone.compass.heading, configurable: true });
+  p5.prototype.setMotionFrame = setMotionFrame;
+  p5.prototype.calibrateMotion = calibrateMotion;
+  p5.prototype.resetCalibration = resetCalibration;
+  p5.prototype.setMotionFilter = setMotionFilter;
+  p5.prototype.onGesture = onGesture;
+  p5.prototype.offGesture = offGesture;
+  p5.prototype.setGestureOptions = setGestureOptions;
+  p5.prototype.resetPedometer = resetPedometer;
+  p5.prototype.setPedometerOptions = setPedometerOptions;
+  p5.prototype.startSessionRecording = startSessionRecording;
+  p5.prototype.stopSessionRecording = stopSessionRecording;
+  p5.prototype.replaySession = replaySession;
+  p5.prototype.stopSessionReplay = stopSessionReplay;
+  p5.prototype.enableSimulator = enableSimulator;
+  p5.prototype.disableSimulator = disableSimulator;
+  p5.prototype.applyPhoneRotation = applyPhoneRotation;
+  p5.prototype.orbitPhoneCamera = orbitPhoneCamera;
+  p5.prototype.setSensorBackend = setSensorBackend;
+  p5.prototype.setSensorFrequency = setSensorFrequency;
+  p5.prototype.setPermissionTimeout = setPermissionTimeout;
+  p5.prototype.setPermissionRecovery = setPermissionRecovery;
+  p5.prototype.showPermissionHelp = showPermissionHelp;
+  p5.prototype.onPermission = onPermission;
+  p5.prototype.offPermission = offPermission;
+  p5.prototype.checkCapabilities = checkCapabilities;
+  p5.prototype.getMicLevel = getMicLevel;
+  p5.prototype.getLightLevel = getLightLevel;
+  p5.prototype.getCompassHeading = getCompassHeading;
+  p5.prototype.getMicStream = getMicStream;
+  p5.prototype.getMic = getMic;
+  p5.prototype.requestPermissions = requestPermissions;
   p5.prototype.enableAllTap = enableAllTap;
   p5.prototype.enableAllButton = enableAllButton;
   
+  // Multi-capability helpers
+  p5.prototype.enableTap = enableTap;
+  p5.prototype.enableButton = enableButton;
+  p5.prototype.enableCanvas = enableCanvas;
+  p5.prototype.enableBanner = enableBanner;
+  p5.prototype.enableOn = enableOn;
+  
   // Canvas-first-touch style
   p5.prototype.enableGyroCanvas = enableGyroCanvas;
   p5.prototype.enableMicCanvas = enableMicCanvas;
@@ -2374,6 +6640,7 @@ if (typeof p5 !== 'undefined' && p5.prototype) {
   p5.prototype.enableNfcCanvas = enableNfcCanvas;
   p5.prototype.enableAllCanvas = enableAllCanvas;
   p5.prototype.enableCameraCanvas = enableCameraCanvas;
+  p5.prototype.enableCompassCanvas = enableCompassCanvas;
   
   // Banner style
   p5.prototype.enableGyroBanner = enableGyroBanner;
@@ -2384,6 +6651,7 @@ if (typeof p5 !== 'undefined' && p5.prototype) {
   p5.prototype.enableNfcBanner = enableNfcBanner;
   p5.prototype.enableAllBanner = enableAllBanner;
   p5.prototype.enableCameraBanner = enableCameraBanner;
+  p5.prototype.enableCompassBanner = enableCompassBanner;
   
   // Custom element binding
   p5.prototype.enableGyroOn = enableGyroOn;
@@ -2394,6 +6662,7 @@ if (typeof p5 !== 'undefined' && p5.prototype) {
   p5.prototype.enableNfcOn = enableNfcOn;
   p5.prototype.enableAllOn = enableAllOn;
   p5.prototype.enableCameraOn = enableCameraOn;
+  p5.prototype.enableCompassOn = enableCompassOn;
   
   // Camera functions
   p5.prototype.createPhoneCamera = createPhoneCamera;
@@ -2408,6 +6677,14 @@ if (typeof p5 !== 'undefined' && p5.prototype) {
   p5.prototype.debugError = debugError;
   p5.prototype.debugWarn = debugWarn;
   
+  // Track running sketches for instance mode (2.x uses the addon lifecycles below)
+  if (!_isP5v2 && typeof p5.prototype.registerMethod === 'function') {
+    p5.prototype.registerMethod('init', _sketchCreated);
+    p5.prototype.registerMethod('beforeSetup', _sketchSetupStarting);
+    p5.prototype.registerMethod('afterSetup', _sketchSetupDone);
+    p5.prototype.registerMethod('remove', _sketchRemoved);
+  }
+  
   console.log('✅ Mobile p5.js Permissions: p5.prototype functions registered');
 }
 
@@ -2439,10 +6716,53 @@ if (typeof p5 !== 'undefined' && typeof p5.registerAddon === 'function') {
     fn.stopVibration = stopVibration;
     fn.enableNfcTap = enableNfcTap;
     fn.enableNfcButton = enableNfcButton;
+    fn.enableCompassTap = enableCompassTap;
+    fn.enableCompassButton = enableCompassButton;
     fn.stopNfc = stopNfc;
+    fn.getPermissionState = getPermissionState;
+    fn.forgetPermissions = forgetPermissions;
+    fn.phone = _phone;
+    fn.setMotionFrame = setMotionFrame;
+    fn.calibrateMotion = calibrateMotion;
+    fn.resetCalibration = resetCalibration;
+    fn.setMotionFilter = setMotionFilter;
+    fn.onGesture = onGesture;
+    fn.offGesture = offGesture;
+    fn.setGestureOptions = setGestureOptions;
+    fn.resetPedometer = resetPedometer;
+    fn.setPedometerOptions = setPedometerOptions;
+    fn.startSessionRecording = startSessionRecording;
+    fn.stopSessionRecording = stopSessionRecording;
+    fn.replaySession = replaySession;
+    fn.stopSessionReplay = stopSessionReplay;
+    fn.enableSimulator = enableSimulator;
+    fn.disableSimulator = disableSimulator;
+    fn.applyPhoneRotation = applyPhoneRotation;
+    fn.orbitPhoneCamera = orbitPhoneCamera;
+    fn.setSensorBackend = setSensorBackend;
+    fn.setSensorFrequency = setSensorFrequency;
+    fn.setPermissionTimeout = setPermissionTimeout;
+    fn.setPermissionRecovery = setPermissionRecovery;
+    fn.showPermissionHelp = showPermissionHelp;
+    fn.onPermission = onPermission;
+    fn.offPermission = offPermission;
+    fn.checkCapabilities = checkCapabilities;
+    fn.getMicLevel = getMicLevel;
+    fn.getLightLevel = getLightLevel;
+    fn.getCompassHeading = getCompassHeading;
+    fn.getMicStream = getMicStream;
+    fn.getMic = getMic;
+    fn.requestPermissions = requestPermissions;
     fn.enableAllTap = enableAllTap;
     fn.enableAllButton = enableAllButton;
     
+    // Multi-capability helpers
+    fn.enableTap = enableTap;
+    fn.enableButton = enableButton;
+    fn.enableCanvas = enableCanvas;
+    fn.enableBanner = enableBanner;
+    fn.enableOn = enableOn;
+    
     // Canvas-first-touch style
     fn.enableGyroCanvas = enableGyroCanvas;
     fn.enableMicCanvas = enableMicCanvas;
@@ -2452,6 +6772,7 @@ if (typeof p5 !== 'undefined' && typeof p5.registerAddon === 'function') {
     fn.enableNfcCanvas = enableNfcCanvas;
     fn.enableAllCanvas = enableAllCanvas;
     fn.enableCameraCanvas = enableCameraCanvas;
+    fn.enableCompassCanvas = enableCompassCanvas;
     
     // Banner style
     fn.enableGyroBanner = enableGyroBanner;
@@ -2462,6 +6783,7 @@ if (typeof p5 !== 'undefined' && typeof p5.registerAddon === 'function') {
     fn.enableNfcBanner = enableNfcBanner;
     fn.enableAllBanner = enableAllBanner;
     fn.enableCameraBanner = enableCameraBanner;
+    fn.enableCompassBanner = enableCompassBanner;
     
     // Custom element binding
     fn.enableGyroOn = enableGyroOn;
@@ -2472,6 +6794,7 @@ if (typeof p5 !== 'undefined' && typeof p5.registerAddon === 'function') {
     fn.enableNfcOn = enableNfcOn;
     fn.enableAllOn = enableAllOn;
     fn.enableCameraOn = enableCameraOn;
+    fn.enableCompassOn = enableCompassOn;
     
     // Camera functions
     fn.createPhoneCamera = createPhoneCamera;
@@ -2486,6 +6809,11 @@ if (typeof p5 !== 'undefined' && typeof p5.registerAddon === 'function') {
     fn.debugError = debugError;
     fn.debugWarn = debugWarn;
     
+    // Track running sketches for instance mode
+    lifecycles.presetup = _sketchSetupStarting;
+    lifecycles.postsetup = _sketchSetupDone;
+    lifecycles.remove = _sketchRemoved;
+    
     console.log('✅ Mobile p5.js Permissions: registered as p5.js 2.0 addon');
   });
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+const STORAGE_KEY = 'p5-phone:calibration';
+
+// Held at 40° toward the user, the usual reading pose
+function firePose(window, beta) {
+  fire(window, 'deviceorientation', { alpha: 0, beta: beta, gamma: 0 });
+  fire(window, 'devicemotion', {
+    accelerationIncludingGravity: { x: 0, y: 9.81 * Math.sin(beta * DEG), z: 9.81 * Math.cos(beta * DEG) }
+  });
+}
+
+test('calibrateMotion() makes the current pose neutral', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  firePose(window, 40);
+  assertNear(window.phone.motion.tilt.x, 40 * DEG);
+  
+  window.calibrateMotion();
+  assert.strictEqual(window.phone.motion.calibrated, true);
+  firePose(window, 50);
+  assertNear(window.phone.motion.orientation.beta, 10 * DEG);
+  assertNear(window.phone.motion.tilt.x, 10 * DEG);
+});
+
+test('calibrateMotion() before motion is enabled waits for the first reading', async t => {
+  const window = loadPhone(t);
+  window.calibrateMotion();
+  assert.strictEqual(window.phone.motion.calibrated, false);
+  
+  await enableMotion(window);
+  firePose(window, 40);
+  assert.strictEqual(window.phone.motion.calibrated, true);
+  firePose(window, 40);
+  assertNear(window.phone.motion.orientation.beta, 0);
+});
+
+test('the calibration is saved and restored on the next visit', async t => {
+  const first = loadPhone(t);
+  await enableMotion(first);
+  firePose(first, 40);
+  first.calibrateMotion();
+  const saved = first.localStorage.getItem(STORAGE_KEY);
+  assert.deepStrictEqual(JSON.parse(saved).orientation, { alpha: 0, beta: 40, gamma: 0 });
+  
+  const second = loadPhone(t, { before: w => w.localStorage.setItem(STORAGE_KEY, saved) });
+  assert.strictEqual(second.phone.motion.calibrated, true);
+  await enableMotion(second);
+  firePose(second, 40);
+  assertNear(second.phone.motion.orientation.beta, 0);
+});
+
+test('resetCalibration() forgets the neutral pose', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  firePose(window, 40);
+  window.calibrateMotion();
+  window.resetCalibration();
+  
+  assert.strictEqual(window.phone.motion.calibrated, false);
+  assert.strictEqual(window.localStorage.getItem(STORAGE_KEY), null);
+  firePose(window, 40);
+  assertNear(window.phone.motion.orientation.beta, 40 * DEG);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone } = require('./helpers');
+
+test('a refused vibrate() is an error with the reason', async t => {
+  const window = loadPhone(t, {
+    before: w => { w.navigator.vibrate = () => false; }
+  });
+  const results = await window.requestPermissions(['vibration']);
+  assert.strictEqual(results.vibration.state, 'error');
+  assert.match(results.vibration.reason, /tap or click/);
+  assert.strictEqual(window.vibrationEnabled, false);
+});
+
+test('vibration is granted when vibrate() is accepted', async t => {
+  const window = loadPhone(t, {
+    before: w => { w.navigator.vibrate = () => true; }
+  });
+  const results = await window.requestPermissions(['vibration']);
+  assert.strictEqual(results.vibration.state, 'granted');
+});
+
+test('sound is unsupported without p5.sound', async t => {
+  const window = loadPhone(t);
+  assert.strictEqual(window.checkCapabilities().capabilities.sound.supported, false);
+  
+  const results = await window.requestPermissions(['sound']);
+  assert.strictEqual(results.sound.state, 'unsupported');
+  assert.match(results.sound.reason, /p5\.sound/);
+  assert.strictEqual(window.soundEnabled, false);
+});
+
+test('sound is granted once p5.sound starts the audio context', async t => {
+  const window = loadPhone(t, {
+    before: w => { w.userStartAudio = () => Promise.resolve(); }
+  });
+  const results = await window.requestPermissions(['sound']);
+  assert.strictEqual(results.sound.state, 'granted');
+  assert.strictEqual(window.soundEnabled, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('assert');
+const { IOS_USER_AGENT, loadPhone, fire, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+// Chrome on Android: north-referenced readings on deviceorientationabsolute
+function loadAndroid(t) {
+  return loadPhone(t, { before: w => { w.ondeviceorientationabsolute = null; } });
+}
+
+function loadIOS(t) {
+  return loadPhone(t, {
+    userAgent: IOS_USER_AGENT,
+    before: w => {
+      w.DeviceOrientationEvent.requestPermission = () => Promise.resolve('granted');
+    }
+  });
+}
+
+test('the compass is granted and listens for absolute orientation', async t => {
+  const window = loadAndroid(t);
+  const results = await window.requestPermissions(['compass']);
+  assert.strictEqual(results.compass.state, 'granted');
+  assert.strictEqual(window.compassEnabled, true);
+  
+  // Lying flat with the top edge to the west
+  fire(window, 'deviceorientationabsolute', { absolute: true, alpha: 90, beta: 0, gamma: 0 });
+  assertNear(window.phone.compass.heading, 270 * DEG);
+  assert.strictEqual(window.phone.compass.absolute, true);
+  assertNear(window.compassHeading, 270 * DEG);
+  assertNear(window.getCompassHeading(), 270 * DEG);
+});
+
+test('the heading does not flip when the phone is held upright', async t => {
+  const window = loadAndroid(t);
+  await window.requestPermissions(['compass']);
+  fire(window, 'deviceorientationabsolute', { absolute: true, alpha: 0, beta: 80, gamma: 0 });
+  assertNear(window.phone.compass.heading, 0);
+  fire(window, 'deviceorientationabsolute', { absolute: true, alpha: 0, beta: 100, gamma: 0 });
+  assertNear(window.phone.compass.heading, 0);
+});
+
+test('iOS uses webkitCompassHeading and asks for calibration when inaccurate', async t => {
+  const window = loadIOS(t);
+  const requests = [];
+  window.userCompassNeedsCalibration = detail => requests.push(detail);
+  const results = await window.requestPermissions(['compass']);
+  assert.strictEqual(results.compass.state, 'granted');
+  
+  fire(window, 'deviceorientation', { alpha: 0, beta: 0, gamma: 0, webkitCompassHeading: 90, webkitCompassAccuracy: 10 });
+  assertNear(window.phone.compass.heading, 90 * DEG);
+  assert.strictEqual(window.phone.compass.accuracy, 10);
+  assert.strictEqual(window.phone.compass.needsCalibration, false);
+  
+  fire(window, 'deviceorientation', { alpha: 0, beta: 0, gamma: 0, webkitCompassHeading: 90, webkitCompassAccuracy: 40 });
+  assert.strictEqual(window.phone.compass.needsCalibration, true);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].accuracy, 40);
+});
+
+test('relative orientation is not mistaken for a heading', async t => {
+  const window = loadPhone(t);
+  await window.requestPermissions(['compass']);
+  fire(window, 'deviceorientation', { absolute: false, alpha: 90, beta: 0, gamma: 0 });
+  assert.strictEqual(window.phone.compass.absolute, false);
+  assert.strictEqual(window.phone.compass.heading, 0);
+});
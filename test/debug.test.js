@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone } = require('./helpers');
+
+test('capability rows show reasons as text', async t => {
+  const window = loadPhone(t);
+  window.showDebug();
+  window.p5phone.useMock({
+    permissions: { nfc: { state: 'unsupported', reason: '<img src="x"> is not a reader' } }
+  });
+  await window.requestPermissions(['nfc']);
+  
+  const content = window.document.getElementById('mobile-debug-capabilities-content');
+  assert.strictEqual(content.querySelector('img'), null);
+  assert.ok(content.textContent.includes('<img src="x"> is not a reader'));
+  assert.ok(content.querySelectorAll('.debug-capability').length > 1);
+});
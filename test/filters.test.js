@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+const FLAT = { x: 0, y: 0, z: 9.81 };
+
+test('lowpass smooths a channel and phone.motion.raw keeps the reading', async t => {
+  const window = loadPhone(t);
+  window.setMotionFilter('acceleration', 'lowpass', { smoothing: 0.5 });
+  await enableMotion(window);
+  fire(window, 'devicemotion', { acceleration: { x: 0, y: 0, z: 0 } });
+  fire(window, 'devicemotion', { acceleration: { x: 10, y: 0, z: 0 } });
+  
+  assert.strictEqual(window.phone.motion.acceleration.x, 5);
+  assert.strictEqual(window.phone.motion.raw.acceleration.x, 10);
+});
+
+test('angle filters take the short way round', async t => {
+  const window = loadPhone(t);
+  window.setMotionFilter('orientation', 'lowpass', { smoothing: 0.5 });
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 350, beta: 0, gamma: 0 });
+  fire(window, 'deviceorientation', { alpha: 10, beta: 0, gamma: 0 });
+  
+  assertNear(window.phone.motion.orientation.alpha, 0);
+});
+
+test('orientation is smoothed as a rotation across the gimbal seam', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 0, beta: 30, gamma: 90 });
+  const between = Object.assign({}, window.phone.motion.quaternion);
+  
+  // Two poles a degree either side of gamma = 90°: the second is written
+  // with alpha and beta turned half way round
+  window.setMotionFilter('orientation', 'lowpass', { smoothing: 0.5 });
+  fire(window, 'deviceorientation', { alpha: 0, beta: 30, gamma: 89 });
+  fire(window, 'deviceorientation', { alpha: 180, beta: 150, gamma: -89 });
+  
+  const q = window.phone.motion.quaternion;
+  const dot = q.x * between.x + q.y * between.y + q.z * between.z + q.w * between.w;
+  assertNear(Math.abs(dot), 1, 1e-4);
+});
+
+test('highpass removes the steady part of a signal', async t => {
+  const window = loadPhone(t);
+  window.setMotionFilter('accelerationIncludingGravity', 'highpass', { smoothing: 0.5 });
+  await enableMotion(window);
+  fire(window, 'devicemotion', { accelerationIncludingGravity: FLAT });
+  fire(window, 'devicemotion', { accelerationIncludingGravity: FLAT });
+  assert.strictEqual(window.phone.motion.accelerationIncludingGravity.z, 0);
+  
+  fire(window, 'devicemotion', { accelerationIncludingGravity: { x: 2, y: 0, z: 9.81 } });
+  assert.strictEqual(window.phone.motion.accelerationIncludingGravity.x, 1);
+});
+
+test('oneEuro follows the reading with a time-based cutoff', async t => {
+  const window = loadPhone(t);
+  window.setMotionFilter('acceleration', 'oneEuro', { minCutoff: 1, beta: 0 });
+  await enableMotion(window);
+  fire(window, 'devicemotion', { acceleration: { x: 0, y: 0, z: 0 } }, 1000);
+  fire(window, 'devicemotion', { acceleration: { x: 10, y: 0, z: 0 } }, 2000);
+  
+  // One second at a 1 Hz cutoff: alpha = 1 / (1 + 1 / 2π)
+  assertNear(window.phone.motion.acceleration.x, 10 / (1 + 1 / (2 * Math.PI)));
+});
+
+test('complementary fuses the gyroscope into tilt', async t => {
+  const window = loadPhone(t);
+  window.setMotionFilter('tilt', 'complementary', { gyroWeight: 0.5 });
+  await enableMotion(window);
+  fire(window, 'devicemotion', { accelerationIncludingGravity: FLAT, rotationRate: { alpha: 0, beta: 0, gamma: 0 } }, 1000);
+  // Turning at 90°/s for a second while gravity still reads flat: halfway between the two
+  fire(window, 'devicemotion', { accelerationIncludingGravity: FLAT, rotationRate: { alpha: 0, beta: 90, gamma: 0 } }, 2000);
+  
+  assertNear(window.phone.motion.tilt.x, 45 * DEG);
+  assertNear(window.phone.motion.raw.tilt.x, 0);
+});
+
+test("a filter is switched off with 'none'", async t => {
+  const window = loadPhone(t);
+  window.setMotionFilter('acceleration', 'lowpass', { smoothing: 0.5 });
+  await enableMotion(window);
+  fire(window, 'devicemotion', { acceleration: { x: 0, y: 0, z: 0 } });
+  fire(window, 'devicemotion', { acceleration: { x: 10, y: 0, z: 0 } });
+  window.setMotionFilter('acceleration', 'none');
+  
+  assert.strictEqual(window.phone.motion.acceleration.x, 10);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+// Stand-ins for Chrome's Generic Sensor classes; onStart(sensor) runs after start()
+function installSensors(window, onStart = {}) {
+  const sensors = {};
+  
+  class FakeSensor {
+    constructor(options) {
+      this.options = options;
+      this.listeners = {};
+      this.running = false;
+      sensors[this.constructor.name] = this;
+    }
+    addEventListener(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+    start() {
+      this.running = true;
+      const callback = onStart[this.constructor.name];
+      if (callback) setTimeout(() => callback(this));
+    }
+    stop() {
+      this.running = false;
+    }
+    read(fields, timestamp) {
+      Object.assign(this, fields, { timestamp: timestamp });
+      (this.listeners.reading || []).forEach(listener => listener({}));
+    }
+    fail(name) {
+      const error = Object.assign(new Error(`${name} from the test`), { name: name });
+      (this.listeners.error || []).forEach(listener => listener({ error: error }));
+    }
+  }
+  
+  window.Accelerometer = class Accelerometer extends FakeSensor {};
+  window.LinearAccelerationSensor = class LinearAccelerationSensor extends FakeSensor {};
+  window.Gyroscope = class Gyroscope extends FakeSensor {};
+  window.RelativeOrientationSensor = class RelativeOrientationSensor extends FakeSensor {};
+  window.AbsoluteOrientationSensor = class AbsoluteOrientationSensor extends FakeSensor {};
+  window.AmbientLightSensor = class AmbientLightSensor extends FakeSensor {};
+  return sensors;
+}
+
+// The accelerometer sends a first reading, so motion is confirmed as working
+function loadWithSensors(t, onStart = {}) {
+  onStart = Object.assign({
+    Accelerometer: sensor => sensor.read({ x: 0, y: 0, z: 9.81 }, 500)
+  }, onStart);
+  let sensors;
+  const window = loadPhone(t, { before: w => { sensors = installSensors(w, onStart); } });
+  return { window, sensors };
+}
+
+test('motion reads the Generic Sensor API where the browser has it', async t => {
+  const { window, sensors } = loadWithSensors(t);
+  window.setSensorFrequency(120);
+  await enableMotion(window);
+  
+  assert.strictEqual(window.phone.motion.backend, 'generic');
+  assert.strictEqual(sensors.Accelerometer.running, true);
+  assert.strictEqual(sensors.Accelerometer.options.frequency, 120);
+  
+  // Gyroscope readings are rad/s and ride along with the next accelerometer reading
+  sensors.Gyroscope.read({ x: Math.PI / 2, y: 0, z: 0 }, 1000);
+  sensors.Accelerometer.read({ x: 0, y: 0, z: 9.81 }, 1000);
+  sensors.Accelerometer.read({ x: 0, y: 0, z: 9.81 }, 1016);
+  assert.strictEqual(window.phone.motion.accelerationIncludingGravity.z, 9.81);
+  assertNear(window.phone.motion.rotationRate.x, 90 * DEG);
+  assert.strictEqual(window.phone.motion.interval, 16);
+  
+  // A 30° pitch as a quaternion [x, y, z, w]
+  sensors.RelativeOrientationSensor.read({ quaternion: [Math.sin(15 * DEG), 0, 0, Math.cos(15 * DEG)] }, 1020);
+  assertNear(window.phone.motion.orientation.beta, 30 * DEG);
+  assert.strictEqual(window.phone.motion.absolute, false);
+});
+
+test("setSensorBackend('devicemotion') switches running sensors over", async t => {
+  const { window, sensors } = loadWithSensors(t);
+  await enableMotion(window);
+  window.setSensorBackend('devicemotion');
+  
+  assert.strictEqual(window.phone.motion.backend, 'devicemotion');
+  assert.strictEqual(sensors.Accelerometer.running, false);
+  fire(window, 'deviceorientation', { alpha: 0, beta: 30, gamma: 0 });
+  assertNear(window.phone.motion.orientation.beta, 30 * DEG);
+});
+
+test('a failing sensor falls back to deviceorientation/devicemotion', async t => {
+  const { window, sensors } = loadWithSensors(t);
+  await enableMotion(window);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  sensors.Accelerometer.read({ x: 0, y: 0, z: 9.81 }, 1000);
+  assert.ok(window.phone.motion.sampleRate > 0);
+  sensors.Gyroscope.fail('NotReadableError');
+  
+  assert.strictEqual(window.phone.motion.backend, 'devicemotion');
+  assert.strictEqual(window.sensorsEnabled, true);
+  // The new backend's rate is measured from scratch
+  assert.strictEqual(window.phone.motion.sampleRate, 0);
+  fire(window, 'deviceorientation', { alpha: 0, beta: 30, gamma: 0 });
+  assertNear(window.phone.motion.orientation.beta, 30 * DEG);
+});
+
+test('sensors blocked in site settings deny motion', async t => {
+  const { window, sensors } = loadWithSensors(t);
+  await enableMotion(window);
+  sensors.Accelerometer.fail('NotAllowedError');
+  
+  assert.strictEqual(window.getPermissionState('motion').state, 'denied');
+  assert.strictEqual(window.sensorsEnabled, false);
+  assert.strictEqual(window.phone.motion.backend, null);
+});
+
+test('the light sensor is granted on its first reading', async t => {
+  const { window } = loadWithSensors(t, {
+    AmbientLightSensor: sensor => sensor.read({ illuminance: 999 }, 1000)
+  });
+  assert.strictEqual(window.getLightLevel(), 0);
+  const results = await window.requestPermissions(['light']);
+  
+  assert.strictEqual(results.light.state, 'granted');
+  assert.strictEqual(window.phone.light, 999);
+  assertNear(window.getLightLevel(), 0.75);
+});
+
+test('a phone without a light sensor reports it unsupported', async t => {
+  const { window } = loadWithSensors(t, {
+    AmbientLightSensor: sensor => sensor.fail('NotReadableError')
+  });
+  const results = await window.requestPermissions(['light']);
+  assert.strictEqual(results.light.state, 'unsupported');
+  assert.strictEqual(window.lightEnabled, false);
+});
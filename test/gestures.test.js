@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+const FLAT = { x: 0, y: 0, z: 9.81 };
+const STILL = { x: 0, y: 0, z: 0 };
+
+function fireMotion(window, acceleration, gravity, time) {
+  fire(window, 'devicemotion', { acceleration: acceleration, accelerationIncludingGravity: gravity }, time);
+}
+
+// Swing the phone sideways: a jolt followed by a rest, every 100 ms
+function swing(window, strength, jolts, start = 1000) {
+  for (let i = 0; i < jolts; i++) {
+    fireMotion(window, { x: strength, y: 0, z: 0 }, FLAT, start + i * 100);
+    fireMotion(window, STILL, FLAT, start + i * 100 + 50);
+  }
+}
+
+test('three jolts within a second are a shake', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  const shakes = [];
+  const callbacks = [];
+  window.onGesture('shake', event => shakes.push(event));
+  window.phoneShake = event => callbacks.push(event);
+  
+  swing(window, 20, 2);
+  assert.strictEqual(shakes.length, 0);
+  swing(window, 20, 1, 1200);
+  
+  assert.strictEqual(shakes.length, 1);
+  assert.strictEqual(shakes[0].gesture, 'shake');
+  assert.strictEqual(shakes[0].count, 3);
+  assert.strictEqual(shakes[0].intensity, 20);
+  assert.strictEqual(callbacks.length, 1);
+});
+
+test('setGestureOptions() raises the shake threshold', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  const shakes = [];
+  window.onGesture('shake', event => shakes.push(event));
+  
+  assert.strictEqual(window.setGestureOptions('shake', { threshold: 25 }).threshold, 25);
+  swing(window, 20, 3);
+  assert.strictEqual(shakes.length, 0);
+  swing(window, 30, 3, 3000);
+  assert.strictEqual(shakes.length, 1);
+});
+
+test('tilting past the angle fires once until the phone comes back', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  const tilts = [];
+  window.addEventListener('phoneGesture', event => tilts.push(event.detail));
+  const tiltRight = degrees => ({ x: -9.81 * Math.sin(degrees * DEG), y: 0, z: 9.81 * Math.cos(degrees * DEG) });
+  
+  fireMotion(window, STILL, tiltRight(40), 1000);
+  fireMotion(window, STILL, tiltRight(35), 1400);
+  assert.deepStrictEqual(tilts.map(event => event.gesture), ['tiltRight']);
+  assertNear(tilts[0].angle, 40 * DEG);
+  
+  // Back inside the angle by the hysteresis margin, then over again
+  fireMotion(window, STILL, tiltRight(10), 1800);
+  fireMotion(window, STILL, tiltRight(40), 2200);
+  assert.strictEqual(tilts.length, 2);
+});
+
+test('turning the screen to the floor is faceDown once it is held', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  const flips = [];
+  window.onGesture('faceDown', event => flips.push(event));
+  const faceDown = { x: 0, y: 0, z: -9.81 };
+  
+  fireMotion(window, STILL, FLAT, 1000);
+  fireMotion(window, STILL, FLAT, 1400);
+  fireMotion(window, STILL, faceDown, 2000);
+  fireMotion(window, STILL, faceDown, 2100);
+  assert.strictEqual(flips.length, 0);
+  fireMotion(window, STILL, faceDown, 2400);
+  assert.strictEqual(flips.length, 1);
+});
@@ -0,0 +1,111 @@
+/**
+ * Test helpers: load src/p5-phone.js into a fresh jsdom page and feed it
+ * the browser events a phone would send.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SOURCE_FILE = path.join(__dirname, '..', 'src', 'p5-phone.js');
+const source = fs.readFileSync(SOURCE_FILE, 'utf8');
+
+const IOS_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) ' +
+  'AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const ANDROID_USER_AGENT = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) ' +
+  'AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Mobile Safari/537.36';
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) ' +
+  'AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// jsdom has no sensor events: an Event that copies its init fields, as the browser's do
+function sensorEventClass(window, name) {
+  const SensorEvent = class extends window.Event {
+    constructor(type, init = {}) {
+      super(type, init);
+      Object.assign(this, init);
+    }
+  };
+  Object.defineProperty(SensorEvent, 'name', { value: name });
+  return SensorEvent;
+}
+
+/**
+ * A new page with p5-phone loaded, closed again when the test ends
+ * @param {Object} t - The node:test context
+ * @param {Object} options - { userAgent, sensors: true, before(window) }
+ *   sensors: false leaves out DeviceOrientationEvent/DeviceMotionEvent
+ * @returns {Window} - The page's window; window.logs holds { level, text } entries
+ */
+function loadPhone(t, options = {}) {
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'warn', 'error'].forEach(level => {
+    virtualConsole.on(level, (...args) => logs.push({ level: level, text: args.join(' ') }));
+  });
+  
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    url: 'https://localhost/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole
+  });
+  const window = dom.window;
+  window.logs = logs;
+  
+  Object.defineProperty(window.navigator, 'userAgent', {
+    value: options.userAgent || ANDROID_USER_AGENT,
+    configurable: true
+  });
+  if (options.sensors !== false) {
+    window.DeviceOrientationEvent = sensorEventClass(window, 'DeviceOrientationEvent');
+    window.DeviceMotionEvent = sensorEventClass(window, 'DeviceMotionEvent');
+  }
+  if (options.before) options.before(window);
+  
+  window.eval(source);
+  t.after(() => window.close());
+  return window;
+}
+
+/**
+ * Dispatch a window event with the given fields, e.g. a deviceorientation
+ * event with { alpha, beta, gamma }
+ * @param {number} timeStamp - Overrides event.timeStamp (ms)
+ */
+function fire(window, type, fields, timeStamp) {
+  const event = new window.Event(type);
+  Object.assign(event, fields);
+  if (timeStamp !== undefined) {
+    Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+  }
+  window.dispatchEvent(event);
+  return event;
+}
+
+// Grant motion, then send the first reading p5-phone waits for before it
+// reports 'granted'
+async function enableMotion(window) {
+  const request = window.requestPermissions(['motion']);
+  // Let an iOS prompt resolve and the listeners start
+  await new Promise(resolve => setTimeout(resolve));
+  fire(window, 'devicemotion', { rotationRate: { alpha: 0, beta: 0, gamma: 0 } });
+  return request;
+}
+
+// assert.strictEqual for numbers that only need to be close
+function assertNear(actual, expected, tolerance = 1e-6, message) {
+  if (!(Math.abs(actual - expected) <= tolerance)) {
+    assert.fail(message || `Expected ${actual} to be within ${tolerance} of ${expected}`);
+  }
+}
+
+module.exports = {
+  IOS_USER_AGENT,
+  ANDROID_USER_AGENT,
+  DESKTOP_USER_AGENT,
+  loadPhone,
+  fire,
+  enableMotion,
+  assertNear
+};
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('motion without readings is unavailable, and granted once they arrive', async t => {
+  const window = loadPhone(t);
+  const changes = [];
+  window.addEventListener('permissionsChanged', event => changes.push(event.detail));
+  
+  // Desktop Chrome fires one deviceorientation with every value null
+  const request = window.requestPermissions(['motion']);
+  await wait(0);
+  fire(window, 'deviceorientation', { alpha: null, beta: null, gamma: null });
+  const results = await request;
+  assert.strictEqual(results.motion.state, 'unavailable');
+  assert.strictEqual(window.sensorsEnabled, false);
+  
+  fire(window, 'deviceorientation', { alpha: 0, beta: 10, gamma: 0 });
+  assert.strictEqual(window.getPermissionState('motion').state, 'granted');
+  assert.strictEqual(window.sensorsEnabled, true);
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].name, 'motion');
+});
+
+test('phone.motion.sampleRate measures how often readings arrive', async t => {
+  const window = loadPhone(t);
+  assert.strictEqual(window.phone.motion.sampleRate, 0);
+  await enableMotion(window);
+  
+  await wait(20);
+  fire(window, 'devicemotion', { accelerationIncludingGravity: { x: 0, y: 0, z: 9.81 } });
+  const rate = window.phone.motion.sampleRate;
+  assert.ok(rate > 0 && rate <= 50, `sampleRate ${rate} should be at most 50 Hz`);
+});
+
+test('switching to the mock and back measures readings from scratch', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  await wait(20);
+  fire(window, 'devicemotion', { accelerationIncludingGravity: { x: 0, y: 0, z: 9.81 } });
+  assert.ok(window.phone.motion.sampleRate > 0);
+  
+  const mock = window.p5phone.useMock();
+  assert.strictEqual(window.phone.motion.sampleRate, 0);
+  await window.requestPermissions(['motion']);
+  mock.motion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.81 } });
+  await wait(20);
+  mock.motion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.81 } });
+  assert.ok(window.phone.motion.sampleRate > 0);
+  
+  mock.restore();
+  assert.strictEqual(window.phone.motion.sampleRate, 0);
+  assert.strictEqual(window.phone.motion.latency, 0);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone } = require('./helpers');
+
+// A sketch's p5.AudioIn: start() runs `behaviour` instead of getUserMedia
+function loadWithAudioIn(t, behaviour, before = () => {}) {
+  return loadPhone(t, {
+    before: w => {
+      w.navigator.mediaDevices = { getUserMedia: () => Promise.reject(new Error('not used')) };
+      w.mic = {
+        stream: null,
+        start(success, failure) { behaviour(this, success, failure); }
+      };
+      before(w);
+    }
+  });
+}
+
+function liveStream() {
+  return { getAudioTracks: () => [{ readyState: 'live' }], getTracks: () => [] };
+}
+
+test('the mic is granted when p5.AudioIn calls back', async t => {
+  const window = loadWithAudioIn(t, (mic, success) => {
+    mic.stream = liveStream();
+    success();
+  });
+  const results = await window.requestPermissions(['mic']);
+  assert.strictEqual(results.mic.state, 'granted');
+  assert.strictEqual(window.getMicStream(), window.mic.stream);
+});
+
+test('a live track counts as started when p5.AudioIn never calls back', async t => {
+  const window = loadWithAudioIn(t, mic => {
+    setTimeout(() => { mic.stream = liveStream(); }, 50);
+  });
+  const results = await window.requestPermissions(['mic']);
+  assert.strictEqual(results.mic.state, 'granted');
+});
+
+test('a denied p5.AudioIn reports denied', async t => {
+  const window = loadWithAudioIn(t, (mic, success, failure) => {
+    failure(Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' }));
+  });
+  const results = await window.requestPermissions(['mic']);
+  assert.strictEqual(results.mic.state, 'denied');
+});
+
+test('p5.AudioIn that never starts is an error after ten seconds', async t => {
+  // Fast-forward the ten second start timeout
+  const window = loadWithAudioIn(t, () => {}, w => {
+    const setTimeout = w.setTimeout;
+    w.setTimeout = (handler, ms, ...args) => setTimeout(handler, ms === 10000 ? 0 : ms, ...args);
+  });
+  const results = await window.requestPermissions(['mic']);
+  assert.strictEqual(results.mic.state, 'error');
+  assert.match(results.mic.reason, /did not start within 10 seconds/);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+test('requests resolve with the scripted outcomes', async t => {
+  const window = loadPhone(t, { sensors: false });
+  window.p5phone.useMock({
+    permissions: {
+      mic: 'denied',
+      nfc: 'unsupported',
+      camera: { state: 'error', reason: 'Camera is in use by another app' }
+    }
+  });
+  const outcomes = [];
+  window.onPermission('camera', result => outcomes.push(result));
+  
+  const results = await window.requestPermissions(['motion', 'mic', 'nfc', 'camera']);
+  assert.strictEqual(results.motion.state, 'granted');
+  assert.strictEqual(results.mic.state, 'denied');
+  assert.strictEqual(results.nfc.state, 'unsupported');
+  assert.strictEqual(results.camera.state, 'error');
+  assert.strictEqual(outcomes.length, 1);
+  assert.strictEqual(outcomes[0].reason, 'Camera is in use by another app');
+  
+  assert.strictEqual(window.sensorsEnabled, true);
+  assert.strictEqual(window.micEnabled, false);
+  assert.strictEqual(window.checkCapabilities().capabilities.nfc.supported, false);
+});
+
+test('a denied capability takes no mocked input', async t => {
+  const window = loadPhone(t);
+  const mock = window.p5phone.useMock({ permissions: { motion: 'denied', nfc: 'denied' } });
+  const results = await window.requestPermissions(['motion', 'nfc']);
+  assert.strictEqual(results.motion.state, 'denied');
+  assert.strictEqual(results.motion.reason, 'Mocked by p5phone.useMock() (denied)');
+  
+  assert.strictEqual(window.sensorsEnabled, false);
+  assert.strictEqual(mock.motion({ orientation: { alpha: 0, beta: 30, gamma: 0 } }), false);
+  assert.strictEqual(window.phone.motion.orientation.beta, 0);
+  assert.strictEqual(mock.nfc('hello'), false);
+});
+
+test("a 'timeout' prompt ends as an error after the permission timeout", async t => {
+  const window = loadPhone(t);
+  window.setPermissionTimeout(20);
+  window.p5phone.useMock({ permissions: { camera: 'timeout' } });
+  const changes = [];
+  window.onPermission('camera', result => changes.push(result.state));
+  
+  const results = await window.requestPermissions(['camera', 'motion']);
+  assert.strictEqual(results.camera.state, 'error');
+  assert.match(results.camera.reason, /No answer to the permission prompt/);
+  assert.strictEqual(results.motion.state, 'granted');
+  assert.deepStrictEqual(changes, ['error']);
+});
+
+test('setPermission() changes the outcome of the next request', async t => {
+  const window = loadPhone(t);
+  const mock = window.p5phone.useMock({ permissions: { motion: 'denied' } });
+  assert.strictEqual((await window.requestPermissions(['motion'])).motion.state, 'denied');
+  
+  mock.setPermission('motion', 'granted');
+  assert.strictEqual((await window.requestPermissions(['motion'])).motion.state, 'granted');
+});
+
+test('mocked input only arrives once the capability is granted', async t => {
+  const window = loadPhone(t);
+  const mock = window.p5phone.useMock();
+  assert.strictEqual(mock.motion({ orientation: { alpha: 0, beta: 30, gamma: 0 } }), false);
+  assert.ok(window.logs.some(entry => entry.level === 'warn' && entry.text.includes('Mock motion sensors input ignored')));
+  
+  await window.requestPermissions(['motion', 'compass', 'mic', 'nfc', 'light', 'vibration']);
+  const tags = [];
+  window.nfcRead = message => tags.push(message);
+  
+  assert.strictEqual(mock.motion({ orientation: { alpha: 0, beta: 30, gamma: 0 } }), true);
+  assertNear(window.phone.motion.orientation.beta, 30 * DEG);
+  mock.compass(90);
+  assertNear(window.phone.compass.heading, 90 * DEG);
+  mock.mic(0.25);
+  assert.strictEqual(window.getMicLevel(), 0.25);
+  mock.light(999);
+  assertNear(window.getLightLevel(), 0.75);
+  mock.nfc('hello');
+  assert.strictEqual(tags.length, 1);
+  assert.strictEqual(tags[0].records[0].data, 'hello');
+  window.vibrate([100, 50, 100]);
+  assert.deepStrictEqual(Array.from(mock.vibrations[0]), [100, 50, 100]);
+});
+
+test('PhoneCamera shows the mocked camera frames', async t => {
+  const window = loadPhone(t);
+  const mock = window.p5phone.useMock();
+  const cam = window.createPhoneCamera('environment');
+  await window.requestPermissions(['camera']);
+  await Promise.resolve();
+  
+  assert.strictEqual(cam.ready, true);
+  assert.strictEqual(cam.video.width, 640);
+  const frame = { width: 320, height: 240 };
+  mock.cameraFrame(frame);
+  assert.strictEqual(cam.video.frame, frame);
+  assert.strictEqual(cam.video.height, 240);
+  assert.strictEqual(cam.video.constraints.video.facingMode, 'environment');
+});
+
+test('restore() puts every capability back to prompt', async t => {
+  const window = loadPhone(t);
+  const mock = window.p5phone.useMock();
+  await window.requestPermissions(['motion', 'mic', 'camera']);
+  window.createPhoneCamera();
+  
+  mock.restore();
+  ['motion', 'mic', 'camera'].forEach(name => {
+    assert.strictEqual(window.getPermissionState(name).state, 'prompt');
+  });
+  assert.strictEqual(window.sensorsEnabled, false);
+  assert.strictEqual(window.micEnabled, false);
+  assert.strictEqual(mock.captures.length, 0);
+});
+
+test('restore() leaves no mock state or listeners behind', async t => {
+  const window = loadPhone(t, { before: w => { w.navigator.vibrate = () => true; } });
+  const mock = window.p5phone.useMock();
+  await window.requestPermissions(['motion', 'mic', 'vibration']);
+  mock.motion({ orientation: { alpha: 0, beta: 30, gamma: 0 } });
+  mock.motion({ orientation: { alpha: 0, beta: 30, gamma: 0 } });
+  mock.mic(0.5);
+  
+  mock.restore();
+  // Input to the old controller is ignored instead of throwing
+  assert.strictEqual(mock.motion({ orientation: { alpha: 0, beta: 60, gamma: 0 } }), false);
+  assert.ok(window.logs.some(entry => entry.level === 'warn' && entry.text.includes('this mock was restored')));
+  assertNear(window.phone.motion.orientation.beta, 30 * DEG);
+  assert.strictEqual(window.phone.motion.sampleRate, 0);
+  assert.strictEqual(window.phone.motion.latency, 0);
+  assert.strictEqual(window.getMicLevel(), 0);
+  
+  // Granting motion through the mock started no real listeners
+  fire(window, 'deviceorientation', { alpha: 0, beta: 45, gamma: 0 });
+  assertNear(window.phone.motion.orientation.beta, 30 * DEG);
+  
+  window.vibrate(100);
+  assert.strictEqual(mock.vibrations.length, 0);
+});
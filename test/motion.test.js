@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const { IOS_USER_AGENT, loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+test('motion is granted without a prompt where there is no requestPermission()', async t => {
+  const window = loadPhone(t);
+  const results = await enableMotion(window);
+  assert.strictEqual(results.motion.state, 'granted');
+  assert.strictEqual(window.sensorsEnabled, true);
+});
+
+test('phone.motion.orientation follows deviceorientation, in radians without a sketch', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 90, beta: 30, gamma: -45, absolute: false });
+  
+  const o = window.phone.motion.orientation;
+  assertNear(o.alpha, 90 * DEG);
+  assertNear(o.beta, 30 * DEG);
+  assertNear(o.gamma, -45 * DEG);
+  assert.strictEqual(window.phone.motion.absolute, false);
+});
+
+test('devicemotion rates map alpha/beta/gamma to z/x/y and intervals in seconds become ms', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'devicemotion', {
+    acceleration: { x: 1, y: 2, z: 3 },
+    accelerationIncludingGravity: { x: 0, y: 0, z: 9.81 },
+    rotationRate: { alpha: 10, beta: 20, gamma: 30 },
+    interval: 0.016
+  });
+  
+  const motion = window.phone.motion;
+  assert.deepStrictEqual({ ...motion.acceleration }, { x: 1, y: 2, z: 3 });
+  assert.strictEqual(motion.accelerationIncludingGravity.z, 9.81);
+  assertNear(motion.rotationRate.x, 20 * DEG);
+  assertNear(motion.rotationRate.y, 30 * DEG);
+  assertNear(motion.rotationRate.z, 10 * DEG);
+  assertNear(motion.interval, 16);
+});
+
+test('null values keep the previous reading', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'devicemotion', { acceleration: { x: 1, y: 2, z: 3 } });
+  fire(window, 'devicemotion', { acceleration: { x: null, y: 5, z: null } });
+  assert.deepStrictEqual({ ...window.phone.motion.acceleration }, { x: 1, y: 5, z: 3 });
+});
+
+test('iOS acceleration is flipped to the spec sign', async t => {
+  const window = loadPhone(t, {
+    userAgent: IOS_USER_AGENT,
+    before: w => {
+      w.DeviceOrientationEvent.requestPermission = () => Promise.resolve('granted');
+      w.DeviceMotionEvent.requestPermission = () => Promise.resolve('granted');
+    }
+  });
+  await enableMotion(window);
+  fire(window, 'devicemotion', {
+    acceleration: { x: 1, y: -2, z: 3 },
+    accelerationIncludingGravity: { x: 0, y: 0, z: -9.81 }
+  });
+  
+  assert.deepStrictEqual({ ...window.phone.motion.acceleration }, { x: -1, y: 2, z: -3 });
+  // Lying face up reads +9.81 on every platform
+  assert.strictEqual(window.phone.motion.accelerationIncludingGravity.z, 9.81);
+});
+
+test('iOS motion is denied when requestPermission() is refused', async t => {
+  const window = loadPhone(t, {
+    userAgent: IOS_USER_AGENT,
+    before: w => {
+      w.DeviceOrientationEvent.requestPermission = () => Promise.resolve('denied');
+      w.DeviceMotionEvent.requestPermission = () => Promise.resolve('denied');
+    }
+  });
+  const results = await enableMotion(window);
+  assert.strictEqual(results.motion.state, 'denied');
+  
+  fire(window, 'deviceorientation', { alpha: 0, beta: 30, gamma: 0 });
+  assert.strictEqual(window.phone.motion.orientation.beta, 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+// Gravity with a bounce of the given size (m/s²) at the given rhythm, sampled every 20 ms
+function walk(window, { seconds, stepsPerSecond = 2, bounce = 3, start = 1000 }) {
+  for (let time = 0; time < seconds * 1000; time += 20) {
+    const z = 9.81 + bounce * Math.sin(2 * Math.PI * stepsPerSecond * time / 1000);
+    fire(window, 'devicemotion', { accelerationIncludingGravity: { x: 0, y: 0, z: z } }, start + time);
+  }
+}
+
+test('a steady walking rhythm counts steps', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  const steps = [];
+  window.stepDetected = event => steps.push(event);
+  
+  walk(window, { seconds: 10 });
+  const pedometer = window.phone.pedometer;
+  // Two steps a second for ten seconds, less the bounce the baseline needs to settle
+  assert.ok(pedometer.stepCount >= 17 && pedometer.stepCount <= 20, `stepCount ${pedometer.stepCount}`);
+  assertNear(pedometer.cadence, 120, 5);
+  assert.strictEqual(pedometer.activity, 'walking');
+  assert.strictEqual(steps.length, pedometer.stepCount);
+  
+  window.resetPedometer();
+  assert.strictEqual(window.phone.pedometer.stepCount, 0);
+});
+
+test('a few bounces are not a walk until startSteps arrive', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  walk(window, { seconds: 1.2 });
+  assert.strictEqual(window.phone.pedometer.stepCount, 0);
+  assert.strictEqual(window.phone.pedometer.activity, 'still');
+  
+  const other = loadPhone(t);
+  other.setPedometerOptions({ startSteps: 2 });
+  await enableMotion(other);
+  walk(other, { seconds: 1.2 });
+  assert.ok(other.phone.pedometer.stepCount > 0);
+});
+
+test('shaking is not counted as steps', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  const activities = [];
+  window.activityChanged = event => activities.push(event.activity);
+  
+  walk(window, { seconds: 5, stepsPerSecond: 3, bounce: 25 });
+  assert.strictEqual(window.phone.pedometer.stepCount, 0);
+  assert.strictEqual(window.phone.pedometer.activity, 'shaking');
+  assert.ok(!activities.includes('walking'));
+});
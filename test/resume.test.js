@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Permissions API answers from `states` (none: no Permissions API); the
+// microphone is refused with `micError`; `remembered` grants are in localStorage
+function loadWithPermissions(t, states, micError, remembered = []) {
+  return loadPhone(t, {
+    before: w => {
+      if (states) {
+        w.navigator.permissions = {
+          query: ({ name }) => name in states
+            ? Promise.resolve({ state: states[name] })
+            : Promise.reject(new TypeError(`${name} is not a permission name`))
+        };
+      }
+      w.localStorage.setItem('p5-phone:granted', JSON.stringify(remembered));
+      w.AudioContext = class AudioContext {
+        resume() { return Promise.resolve(); }
+      };
+      w.navigator.mediaDevices = { getUserMedia: () => Promise.reject(micError) };
+    }
+  });
+}
+
+function sketchReady(window) {
+  return new Promise(resolve => window.addEventListener('permissionsReady', resolve, { once: true }));
+}
+
+test('a resumed capability that is refused still offers the recovery screen', async t => {
+  const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+  const window = loadWithPermissions(t, { microphone: 'granted' }, denied);
+  const ready = sketchReady(window);
+  window.enableTap(['mic']);
+  await ready;
+  
+  assert.strictEqual(window.getPermissionState('mic').state, 'denied');
+  assert.ok(window.document.getElementById('permissionRecovery'));
+});
+
+function autoStarted(window) {
+  return window.logs.some(entry => entry.text.includes('already granted - auto-starting'));
+}
+
+test('motion keeps the tap when the browser cannot say it is granted', async t => {
+  const window = loadWithPermissions(t, null);
+  window.enableTap(['motion']);
+  await wait(20);
+  
+  assert.strictEqual(autoStarted(window), false);
+  assert.strictEqual(window.getPermissionState('motion').state, 'prompt');
+});
+
+test('motion auto-starts when the accelerometer permission is granted', async t => {
+  const window = loadWithPermissions(t, { accelerometer: 'granted' });
+  window.enableTap(['motion']);
+  await wait(20);
+  assert.strictEqual(autoStarted(window), true);
+});
+
+test('motion auto-starts when a grant is remembered from an earlier visit', async t => {
+  const window = loadWithPermissions(t, null, undefined, ['motion']);
+  window.enableTap(['motion']);
+  await wait(20);
+  assert.strictEqual(autoStarted(window), true);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+function assertAllNear(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  expected.forEach((value, i) => assertNear(actual[i], value, 1e-9, `index ${i}: ${actual[i]} != ${value}`));
+}
+
+test('phone.motion.quaternion stays defined through 90° pitch', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 0, beta: 90, gamma: 0 });
+  
+  const q = window.phone.motion.quaternion;
+  assertAllNear([q.x, q.y, q.z, q.w], [Math.SQRT1_2, 0, 0, Math.SQRT1_2]);
+});
+
+test('phone.motion.matrix is a column-major 4×4 rotation', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 90, beta: 0, gamma: 0 });
+  
+  // A quarter turn about z: the x-axis goes to y
+  assertAllNear(window.phone.motion.matrix, [
+    0, 1, 0, 0,
+    -1, 0, 0, 0,
+    0, 0, 1, 0,
+    0, 0, 0, 1
+  ]);
+});
+
+test('phone.motion.unwrapped keeps counting past 360°', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 350, beta: 0, gamma: 0 });
+  fire(window, 'deviceorientation', { alpha: 10, beta: 0, gamma: 0 });
+  
+  assertNear(window.phone.motion.orientation.alpha, 10 * DEG);
+  assertNear(window.phone.motion.unwrapped.alpha, 370 * DEG);
+});
+
+test('applyPhoneRotation() is no rotation while lying flat', async t => {
+  const window = loadPhone(t);
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 0, beta: 0, gamma: 0 });
+  let applied = null;
+  window.applyMatrix = (...values) => { applied = values; };
+  
+  window.applyPhoneRotation();
+  assertAllNear(applied, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+});
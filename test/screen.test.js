@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+// A phone turned a quarter turn counterclockwise into landscape
+function loadLandscape(t) {
+  return loadPhone(t, {
+    before: w => {
+      Object.defineProperty(w.screen, 'orientation', {
+        value: { angle: 90, type: 'landscape-primary' },
+        configurable: true
+      });
+    }
+  });
+}
+
+test('vectors follow the screen into landscape', async t => {
+  const window = loadLandscape(t);
+  await enableMotion(window);
+  // Standing on its long edge: the device x-axis points up
+  fire(window, 'devicemotion', { accelerationIncludingGravity: { x: 9.81, y: 0, z: 0 } });
+  
+  const g = window.phone.motion.accelerationIncludingGravity;
+  assertNear(g.x, 0);
+  assertNear(g.y, 9.81);
+  assert.strictEqual(window.phone.motion.frame, 'screen');
+  assert.strictEqual(window.phone.motion.screenAngle, 90);
+});
+
+test('orientation follows the screen into landscape', async t => {
+  const window = loadLandscape(t);
+  await enableMotion(window);
+  // A roll about the device y-axis is a pitch about the screen x-axis
+  fire(window, 'deviceorientation', { alpha: 0, beta: 0, gamma: 30 });
+  
+  const o = window.phone.motion.orientation;
+  assertNear(o.beta, -30 * DEG);
+  assertNear(o.gamma, 0);
+});
+
+test("setMotionFrame('device') keeps the axes on the phone body", async t => {
+  const window = loadLandscape(t);
+  window.setMotionFrame('device');
+  await enableMotion(window);
+  fire(window, 'devicemotion', { accelerationIncludingGravity: { x: 9.81, y: 0, z: 0 } });
+  fire(window, 'deviceorientation', { alpha: 0, beta: 0, gamma: 30 });
+  
+  assert.strictEqual(window.phone.motion.accelerationIncludingGravity.x, 9.81);
+  assertNear(window.phone.motion.orientation.gamma, 30 * DEG);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadPhone, fire, enableMotion, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+
+async function recordTilt(t) {
+  const window = loadPhone(t);
+  window.startSessionRecording();
+  await enableMotion(window);
+  fire(window, 'deviceorientation', { alpha: 0, beta: 30, gamma: 0 });
+  fire(window, 'deviceorientation', { alpha: 0, beta: 45, gamma: 0 });
+  return window.stopSessionRecording();
+}
+
+test('a recording traces readings and permission changes', async t => {
+  const trace = await recordTilt(t);
+  
+  assert.strictEqual(trace.format, 'p5-phone-session');
+  assert.strictEqual(trace.permissions.motion.state, 'prompt');
+  const types = trace.events.map(event => event.type);
+  assert.ok(types.includes('permission'));
+  assert.strictEqual(types.filter(type => type === 'motion').length, 3);
+});
+
+test('replaySession() plays the readings back through phone.motion', async t => {
+  const trace = await recordTilt(t);
+  const window = loadPhone(t);
+  const states = [];
+  window.onPermission('motion', result => states.push(result.state));
+  
+  await window.replaySession(JSON.stringify(trace), { speed: 10 });
+  assertNear(window.phone.motion.orientation.beta, 45 * DEG);
+  assert.ok(states.includes('granted'));
+  // The page's own permission states come back afterwards
+  assert.strictEqual(window.sensorsEnabled, false);
+});
+
+test('live readings are ignored while a session plays', async t => {
+  const trace = await recordTilt(t);
+  const window = loadPhone(t);
+  await enableMotion(window);
+  
+  const replay = window.replaySession(trace, { loop: true });
+  fire(window, 'deviceorientation', { alpha: 0, beta: -60, gamma: 0 });
+  assert.notStrictEqual(window.phone.motion.orientation.beta, -60 * DEG);
+  
+  window.stopSessionReplay();
+  await replay;
+  fire(window, 'deviceorientation', { alpha: 0, beta: -60, gamma: 0 });
+  assertNear(window.phone.motion.orientation.beta, -60 * DEG);
+});
+
+test('replaySession() ignores something that is not a trace', async t => {
+  const window = loadPhone(t);
+  await window.replaySession({ events: [] });
+  assert.ok(window.logs.some(entry => entry.level === 'warn' && entry.text.includes('Not a p5-phone session trace')));
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert');
+const { IOS_USER_AGENT, DESKTOP_USER_AGENT, loadPhone, fire, assertNear } = require('./helpers');
+
+const DEG = Math.PI / 180;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A laptop browser without the device orientation events
+function loadDesktop(t, options = {}) {
+  const window = loadPhone(t, Object.assign({ userAgent: DESKTOP_USER_AGENT, sensors: false }, options));
+  t.after(() => window.disableSimulator());
+  return window;
+}
+
+test('the simulator stands in for motion on a desktop', async t => {
+  const window = loadDesktop(t);
+  assert.strictEqual(await window.enableSimulator(), true);
+  assert.ok(window.document.getElementById('phone-simulator'));
+  
+  const results = await window.requestPermissions(['motion']);
+  assert.strictEqual(results.motion.state, 'granted');
+  assert.strictEqual(window.sensorsEnabled, true);
+  
+  // Arrow keys tilt the simulated phone; readings follow on the next tick
+  window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowDown' }));
+  await wait(50);
+  assertNear(window.phone.motion.orientation.beta, 5 * DEG);
+});
+
+test('turning the simulator off puts simulated capabilities back to prompt', async t => {
+  const window = loadDesktop(t);
+  await window.enableSimulator();
+  await window.requestPermissions(['motion']);
+  window.disableSimulator();
+  
+  assert.strictEqual(window.document.getElementById('phone-simulator'), null);
+  assert.strictEqual(window.getPermissionState('motion').state, 'prompt');
+  assert.strictEqual(window.sensorsEnabled, false);
+});
+
+test('a browser with the events but no readings gets the simulator', async t => {
+  const window = loadDesktop(t, { sensors: true });
+  assert.strictEqual(await window.enableSimulator(), true);
+});
+
+test('a device that sends readings keeps its real sensors unless forced', async t => {
+  const window = loadPhone(t);
+  const shown = window.enableSimulator();
+  fire(window, 'deviceorientation', { alpha: 0, beta: 10, gamma: 0 });
+  assert.strictEqual(await shown, false);
+  assert.strictEqual(window.document.getElementById('phone-simulator'), null);
+  
+  assert.strictEqual(await window.enableSimulator({ force: true }), true);
+  window.disableSimulator();
+});
+
+test('simulated readings keep the spec sign on iOS', async t => {
+  const window = loadPhone(t, {
+    userAgent: IOS_USER_AGENT,
+    before: w => {
+      w.DeviceOrientationEvent.requestPermission = () => Promise.resolve('granted');
+      w.DeviceMotionEvent.requestPermission = () => Promise.resolve('granted');
+    }
+  });
+  t.after(() => window.disableSimulator());
+  // Behind a permission prompt the sensors count as real
+  assert.strictEqual(await window.enableSimulator(), false);
+  
+  await window.enableSimulator({ force: true });
+  await window.requestPermissions(['motion']);
+  await wait(50);
+  // Lying flat reads +9.81, as on real hardware
+  assertNear(window.phone.motion.accelerationIncludingGravity.z, 9.81, 1e-3);
+});
+
+test('requestPermissions() asks the hardware before the simulator has decided', async t => {
+  const asked = [];
+  const window = loadDesktop(t, {
+    sensors: true,
+    before: w => {
+      w.AudioContext = class AudioContext {
+        resume() { return Promise.resolve(); }
+      };
+      Object.defineProperty(w.navigator, 'mediaDevices', {
+        value: {
+          getUserMedia: () => {
+            asked.push('mic');
+            return Promise.reject(Object.assign(new Error('No microphone'), { name: 'NotFoundError' }));
+          }
+        },
+        configurable: true
+      });
+    }
+  });
+  const shown = window.enableSimulator();
+  const request = window.requestPermissions(['motion', 'mic']);
+  // Still inside the tap
+  assert.deepStrictEqual(asked, ['mic']);
+  
+  assert.strictEqual(await shown, true);
+  const results = await request;
+  // What the laptop couldn't provide comes from the panel
+  assert.strictEqual(results.motion.state, 'granted');
+  assert.strictEqual(results.mic.state, 'granted');
+  assert.strictEqual(results.mic.reason, 'Simulated by the desktop simulator');
+});
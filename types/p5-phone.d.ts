@@ -0,0 +1,528 @@
+/**
+ * Type definitions for p5-phone
+ * https://github.com/npuckett/p5-phone
+ *
+ * Covers the ES module / CommonJS entries (dist/p5-phone.mjs, dist/p5-phone.cjs)
+ * and the globals the CDN script defines. Keep in sync with src/p5-phone.js -
+ * `npm run build` fails when an export is missing here.
+ */
+
+// =========================================
+// SHARED TYPES
+// =========================================
+
+/** A capability p5-phone can enable */
+export type CapabilityName =
+  | 'motion' | 'mic' | 'sound' | 'speech' | 'vibration'
+  | 'nfc' | 'camera' | 'compass' | 'light';
+
+/** Capability names plus the aliases the API accepts */
+export type CapabilityInput = CapabilityName | 'sensors' | 'gyro' | 'microphone';
+
+export type PermissionStateName =
+  | 'granted' | 'denied' | 'unsupported' | 'prompt' | 'error' | 'unavailable';
+
+export interface PermissionState {
+  state: PermissionStateName;
+  reason: string;
+}
+
+export type PermissionStates = Record<CapabilityName, PermissionState>;
+
+/** A sketch instance, or the p5 module's own types when you have them */
+export type P5Sketch = any;
+
+// =========================================
+// PHONE DATA (phone.motion, phone.compass, ...)
+// =========================================
+
+export interface Orientation {
+  readonly alpha: number;
+  readonly beta: number;
+  readonly gamma: number;
+}
+
+export interface Vector3 {
+  readonly x: number;
+  readonly y: number;
+  readonly z: number;
+}
+
+export interface Tilt {
+  readonly x: number;
+  readonly y: number;
+}
+
+/** Unfiltered readings, one per channel */
+export interface MotionChannels {
+  /** Angles in the sketch's angleMode() */
+  readonly orientation: Orientation;
+  readonly acceleration: Vector3;
+  readonly accelerationIncludingGravity: Vector3;
+  readonly rotationRate: Vector3;
+  /** Angles in the sketch's angleMode() */
+  readonly tilt: Tilt;
+}
+
+export interface PhoneMotion extends MotionChannels {
+  readonly raw: MotionChannels;
+  /** Orientation accumulated without wrapping at ±180° / 360° */
+  readonly unwrapped: Orientation;
+  readonly absolute: boolean;
+  readonly interval: number;
+  readonly timestamp: number;
+  readonly frame: MotionFrame;
+  readonly backend: 'generic' | 'devicemotion' | null;
+  readonly sampleRate: number;
+  readonly latency: number;
+  readonly calibrated: boolean;
+  readonly screenAngle: number;
+  /** Unit quaternion, smooth through 90° pitch */
+  readonly quaternion: { x: number; y: number; z: number; w: number };
+  /** Column-major 4x4 rotation matrix, ready for applyMatrix() */
+  readonly matrix: number[];
+}
+
+export interface PhoneCompass {
+  /** Clockwise from north, in the sketch's angleMode() */
+  readonly heading: number;
+  /** ± degrees (iOS only) */
+  readonly accuracy: number | null;
+  readonly needsCalibration: boolean;
+  readonly absolute: boolean;
+  readonly timestamp: number;
+}
+
+export type PedometerActivity = 'still' | 'walking' | 'running' | 'shaking';
+
+export interface PhonePedometer {
+  readonly stepCount: number;
+  /** Steps per minute */
+  readonly cadence: number;
+  readonly activity: PedometerActivity;
+}
+
+export interface Phone {
+  readonly motion: PhoneMotion;
+  readonly compass: PhoneCompass;
+  readonly pedometer: PhonePedometer;
+  /** Ambient light in lux */
+  readonly light: number;
+}
+
+export type MotionFrame = 'screen' | 'device';
+
+export type MotionChannel =
+  | 'orientation' | 'acceleration' | 'accelerationIncludingGravity' | 'rotationRate' | 'tilt';
+
+export type MotionFilter = 'lowpass' | 'highpass' | 'oneEuro' | 'complementary' | 'none';
+
+export interface MotionFilterOptions {
+  /** lowpass / highpass */
+  smoothing?: number;
+  /** oneEuro */
+  minCutoff?: number;
+  beta?: number;
+  dCutoff?: number;
+  /** complementary (tilt only) */
+  gyroWeight?: number;
+}
+
+export type SensorBackend = 'auto' | 'generic' | 'devicemotion';
+
+// =========================================
+// GESTURES AND PEDOMETER
+// =========================================
+
+export type GestureName =
+  | 'shake' | 'faceDown' | 'faceUp' | 'tiltLeft' | 'tiltRight'
+  | 'tiltForward' | 'tiltBack' | 'pickUp' | 'backTap';
+
+export interface GestureEvent {
+  gesture: GestureName;
+  time: number;
+  /** shake */
+  intensity?: number;
+  count?: number;
+  /** tilts */
+  angle?: number;
+  [key: string]: unknown;
+}
+
+export type GestureListener = (event: GestureEvent) => void;
+
+export interface GestureOptions {
+  threshold?: number;
+  jolts?: number;
+  window?: number;
+  cooldown?: number;
+  angle?: number;
+  hold?: number;
+  hysteresis?: number;
+  stillTime?: number;
+  moveTime?: number;
+  minGap?: number;
+  maxGap?: number;
+}
+
+export interface PedometerOptions {
+  minThreshold?: number;
+  minInterval?: number;
+  maxInterval?: number;
+  startSteps?: number;
+  runningCadence?: number;
+  shakeLevel?: number;
+}
+
+// =========================================
+// PERMISSIONS AND CAPABILITIES
+// =========================================
+
+export type PermissionListener = (result: PermissionState, name: CapabilityName) => void;
+
+export interface Platform {
+  os: string;
+  browser: string;
+  mobile: boolean;
+  inAppBrowser: string | null;
+}
+
+export interface CapabilityReport {
+  secureContext: boolean;
+  platform: Platform;
+  apis: Record<string, boolean>;
+  capabilities: Record<CapabilityName, { supported: boolean; reason: string }>;
+  warnings: string[];
+}
+
+export type BannerPosition = 'top' | 'bottom';
+
+// =========================================
+// SESSIONS, SIMULATOR AND MOCK
+// =========================================
+
+export interface SessionTrace {
+  format: string;
+  version: number;
+  recordedAt: string;
+  userAgent: string;
+  duration: number;
+  permissions: PermissionStates;
+  events: object[];
+}
+
+export interface ReplayOptions {
+  speed?: number;
+  loop?: boolean;
+}
+
+export interface SimulatorOptions {
+  /** Show the panel even when real motion sensors are detected */
+  force?: boolean;
+}
+
+/** A permission state, or 'timeout' for a prompt that is never answered */
+export type MockOutcome = PermissionStateName | 'timeout';
+
+export interface MockOptions {
+  /** Scripted outcomes; unlisted capabilities are granted */
+  permissions?: Partial<Record<CapabilityName, MockOutcome | PermissionState>>;
+  /** Keep the tap/button UI instead of resuming straight away */
+  requireTap?: boolean;
+}
+
+export interface MotionSample {
+  orientation?: { alpha: number; beta: number; gamma: number };
+  acceleration?: { x: number; y: number; z: number };
+  accelerationIncludingGravity?: { x: number; y: number; z: number };
+  /** Degrees per second */
+  rotationRate?: { x: number; y: number; z: number };
+  interval?: number;
+  timestamp?: number;
+}
+
+export interface NfcRecord {
+  recordType: string;
+  mediaType?: string | null;
+  id?: string | null;
+  /** Decoded text or URL, parsed JSON, or the raw DataView */
+  data: unknown;
+  raw?: DataView;
+}
+
+export interface NfcMessage {
+  serialNumber: string | null;
+  records: NfcRecord[];
+  [key: string]: unknown;
+}
+
+/** Returned by p5phone.useMock() */
+export interface Mock {
+  readonly vibrations: Array<number | number[]>;
+  setPermission(name: CapabilityName, state: MockOutcome, reason?: string): void;
+  /** false until motion is granted, and after restore() */
+  motion(sample: MotionSample): boolean;
+  /** Degrees clockwise from north, or a deviceorientation-style reading */
+  compass(reading: number | { alpha: number; beta?: number; gamma?: number; absolute?: boolean }): boolean;
+  mic(level: number): void;
+  /** Text (or an http(s) link), or a full message */
+  nfc(tag: string | NfcMessage): boolean;
+  /** Any image p5 can draw; every mocked camera shows it */
+  cameraFrame(frame: unknown): void;
+  light(lux: number): boolean;
+  restore(): void;
+}
+
+export interface P5PhoneNamespace {
+  useMock(options?: MockOptions): Mock;
+  useHardware(): void;
+}
+
+// =========================================
+// PHONE CAMERA
+// =========================================
+
+export type CameraFacing = 'user' | 'environment';
+
+export type CameraMode = 'fitWidth' | 'fitHeight' | 'cover' | 'contain' | 'fixed';
+
+export interface CameraDimensions {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  scaleX: number;
+  scaleY: number;
+}
+
+export interface Keypoint {
+  x: number;
+  y: number;
+  z?: number;
+  [key: string]: unknown;
+}
+
+/** Video capture for ML5: camera switching, mirroring, display modes and coordinate mapping */
+export declare class PhoneCamera {
+  constructor(active?: CameraFacing, mirror?: boolean, mode?: CameraMode);
+
+  readonly ready: boolean;
+  /** The p5 capture (p5.MediaElement) */
+  readonly video: any;
+  /** The native video element, for ML5 and other libraries */
+  readonly videoElement: HTMLVideoElement | null;
+  /** Display size in the current mode, 0 until ready */
+  readonly width: number;
+  readonly height: number;
+
+  active: CameraFacing;
+  mirror: boolean;
+  mode: CameraMode;
+  fixedWidth: number;
+  fixedHeight: number;
+
+  /** Called when the video is ready for ML5 */
+  onReady(callback: () => void): void;
+  remove(): void;
+  getDimensions(): CameraDimensions;
+  /** Video space to display space, with mirroring */
+  mapPoint(x: number, y: number): { x: number; y: number };
+  mapKeypoint<T extends Keypoint>(keypoint: T): T;
+  mapKeypoints<T extends Keypoint>(keypoints: T[]): T[];
+}
+
+// =========================================
+// ENTRY POINT
+// =========================================
+
+/** Every export, as returned by init() */
+export type P5PhoneAPI = Omit<typeof import('./p5-phone'), 'init'>;
+
+/**
+ * Start p5-phone against a p5 you imported (default: the global p5).
+ * Call it before creating your sketch; any export calls it on first use.
+ */
+export function init(p5Constructor?: unknown): P5PhoneAPI;
+
+export const phone: Phone;
+export const p5phone: P5PhoneNamespace;
+
+// =========================================
+// DEBUG SYSTEM
+// =========================================
+
+export function debug(...args: unknown[]): void;
+export namespace debug {
+  /** Clear the debug panel */
+  function clear(): void;
+}
+export function debugError(...args: unknown[]): void;
+export function debugWarn(...args: unknown[]): void;
+export function showDebug(): void;
+export function hideDebug(): void;
+export function toggleDebug(): void;
+
+// =========================================
+// GESTURES, MOTION AND SENSORS
+// =========================================
+
+export function lockGestures(): void;
+
+export function setMotionFrame(frame: MotionFrame): void;
+export function calibrateMotion(): void;
+export function resetCalibration(): void;
+export function setMotionFilter(
+  channel: MotionChannel | MotionChannel[],
+  type: MotionFilter,
+  options?: MotionFilterOptions
+): void;
+export function setSensorBackend(backend: SensorBackend): void;
+export function setSensorFrequency(hz: number): void;
+export function applyPhoneRotation(): void;
+export function orbitPhoneCamera(distance?: number, cam?: any): void;
+
+export function onGesture(name: GestureName, callback: GestureListener): GestureListener;
+export function offGesture(name: GestureName, callback?: GestureListener): void;
+export function setGestureOptions(name: GestureName, options?: GestureOptions): GestureOptions | undefined;
+export function resetPedometer(): void;
+export function setPedometerOptions(options?: PedometerOptions): PedometerOptions;
+
+export function getMicLevel(): number;
+export function getLightLevel(): number;
+/** Same as compassHeading - use it with the module builds, which can't export a live value */
+export function getCompassHeading(): number;
+export function getMicStream(): MediaStream | null;
+/** p5.AudioIn, or null when p5.sound isn't loaded */
+export function getMic(): any;
+
+export function vibrate(pattern: number | number[]): boolean;
+export function stopVibration(): void;
+export function stopNfc(): void;
+
+// =========================================
+// PERMISSIONS
+// =========================================
+
+export function requestPermissions(
+  names?: CapabilityInput | CapabilityInput[]
+): Promise<Partial<Record<CapabilityName, PermissionState>>>;
+export function getPermissionState(): PermissionStates;
+export function getPermissionState(name: CapabilityInput): PermissionState;
+export function onPermission(name: CapabilityInput, callback: PermissionListener): PermissionListener;
+export function offPermission(name: CapabilityInput, callback?: PermissionListener): void;
+export function forgetPermissions(): void;
+export function checkCapabilities(): CapabilityReport;
+export function setPermissionTimeout(ms: number): void;
+export function setPermissionRecovery(enabled?: boolean): void;
+export function showPermissionHelp(names?: CapabilityInput | CapabilityInput[]): void;
+
+// =========================================
+// SESSIONS AND SIMULATOR
+// =========================================
+
+export function startSessionRecording(): void;
+export function stopSessionRecording(): SessionTrace | null;
+export function replaySession(trace: SessionTrace | string, options?: ReplayOptions): Promise<void>;
+export function stopSessionReplay(): void;
+/** Resolves true when the panel is showing (only without real motion sensors, unless forced) */
+export function enableSimulator(options?: SimulatorOptions): Promise<boolean>;
+export function disableSimulator(): void;
+
+// =========================================
+// ENABLE HELPERS
+// =========================================
+
+export function enableTap(names: CapabilityInput[], message?: string): void;
+export function enableButton(names: CapabilityInput[], buttonText?: string, statusText?: string): void;
+export function enableCanvas(names: CapabilityInput[], message?: string | null): void;
+export function enableBanner(names: CapabilityInput[], message?: string, position?: BannerPosition): void;
+export function enableOn(names: CapabilityInput[], selector: string): void;
+
+export function enableGyroTap(message?: string): void;
+export function enableMicTap(message?: string): void;
+export function enableSoundTap(message?: string): void;
+export function enableSpeechTap(message?: string): void;
+export function enableVibrationTap(message?: string): void;
+export function enableNfcTap(message?: string): void;
+export function enableCompassTap(message?: string): void;
+export function enableCameraTap(message?: string): void;
+export function enableAllTap(message?: string): void;
+
+export function enableGyroButton(buttonText?: string, statusText?: string): void;
+export function enableMicButton(buttonText?: string, statusText?: string): void;
+export function enableSoundButton(buttonText?: string, statusText?: string): void;
+export function enableSpeechButton(buttonText?: string, statusText?: string): void;
+export function enableVibrationButton(buttonText?: string, statusText?: string): void;
+export function enableNfcButton(buttonText?: string, statusText?: string): void;
+export function enableCompassButton(buttonText?: string, statusText?: string): void;
+export function enableCameraButton(buttonText?: string, statusText?: string): void;
+export function enableAllButton(buttonText?: string, statusText?: string): void;
+
+export function enableGyroCanvas(message?: string | null): void;
+export function enableMicCanvas(message?: string | null): void;
+export function enableSoundCanvas(message?: string | null): void;
+export function enableSpeechCanvas(message?: string | null): void;
+export function enableVibrationCanvas(message?: string | null): void;
+export function enableNfcCanvas(message?: string | null): void;
+export function enableCompassCanvas(message?: string | null): void;
+export function enableCameraCanvas(message?: string | null): void;
+export function enableAllCanvas(message?: string | null): void;
+
+export function enableGyroBanner(message?: string, position?: BannerPosition): void;
+export function enableMicBanner(message?: string, position?: BannerPosition): void;
+export function enableSoundBanner(message?: string, position?: BannerPosition): void;
+export function enableSpeechBanner(message?: string, position?: BannerPosition): void;
+export function enableVibrationBanner(message?: string, position?: BannerPosition): void;
+export function enableNfcBanner(message?: string, position?: BannerPosition): void;
+export function enableCompassBanner(message?: string, position?: BannerPosition): void;
+export function enableCameraBanner(message?: string, position?: BannerPosition): void;
+export function enableAllBanner(message?: string, position?: BannerPosition): void;
+
+export function enableGyroOn(selector: string): void;
+export function enableMicOn(selector: string): void;
+export function enableSoundOn(selector: string): void;
+export function enableSpeechOn(selector: string): void;
+export function enableVibrationOn(selector: string): void;
+export function enableNfcOn(selector: string): void;
+export function enableCompassOn(selector: string): void;
+export function enableCameraOn(selector: string): void;
+export function enableAllOn(selector: string): void;
+
+// =========================================
+// CAMERA
+// =========================================
+
+export function createPhoneCamera(active?: CameraFacing, mirror?: boolean, mode?: CameraMode): PhoneCamera;
+
+// =========================================
+// GLOBALS - set by the CDN script, or by init()
+// =========================================
+
+declare global {
+  /** Motion sensors granted */
+  var sensorsEnabled: boolean;
+  var micEnabled: boolean;
+  var soundEnabled: boolean;
+  var speechEnabled: boolean;
+  var vibrationEnabled: boolean;
+  var nfcEnabled: boolean;
+  var compassEnabled: boolean;
+  var lightEnabled: boolean;
+  var gesturesLocked: boolean;
+  /** The last NFC tag read */
+  var lastNfcMessage: import('./p5-phone').NfcMessage | null;
+  var lastNfcSerialNumber: string | null;
+  /** Set to false before the script loads to stop errors opening the debug panel */
+  var SHOW_DEBUG: boolean | undefined;
+  /** Heading of the top edge of the screen, clockwise from north, in angleMode() units (radians by default) - same as phone.compass.heading */
+  const compassHeading: number;
+
+  interface Window {
+    readonly compassHeading: number;
+  }
+}
+
+// No `declare module 'p5'` augmentation for the instance-mode methods
+// (p.enableGyroTap(), p.createPhoneCamera()...): it fails to compile in projects
+// without p5 types, and p5 2.x's own types export the class as default only,
+// which can't be augmented. The README shows one to add for @types/p5.